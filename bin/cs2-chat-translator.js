@@ -10,7 +10,13 @@
  *   cs2-chat-translator                 # start watcher + web GUI, open browser
  *   cs2-chat-translator --no-browser    # start watcher + web GUI, do not open browser
  *   cs2-chat-translator --port 1234     # change the web GUI port
+ *   cs2-chat-translator --host 0.0.0.0  # reachable from the LAN (pairing tokens)
+ *   cs2-chat-translator --pair NAME [--full] / --unpair NAME
  *   cs2-chat-translator --cli           # headless: watcher only, no web GUI (old behavior)
+ *   cs2-chat-translator --replay FILE [--speed N]   # replay a recorded console.log
+ *   cs2-chat-translator --no-send       # never write chat_reader.cfg / press the key
+ *   cs2-chat-translator --doctor        # check the setup and suggest fixes
+ *   cs2-chat-translator --detect-paths  # list Steam libraries / CS2 installs found
  *   cs2-chat-translator --init-config   # create/refresh config.json
  *   cs2-chat-translator --set-log-path /path/to/console.log
  *   cs2-chat-translator --set-cfg-dir  /path/to/cfg
@@ -18,20 +24,25 @@
  *
  * The GUI shows a live chat feed, surfaces auto-translations inline, and lets
  * you edit the config (logPath, cfgDir, bindKey, auto-translate target) without
- * leaving the app. All chat-command handling (tm_<lang>, _tl, code_<lang>) is
- * unchanged.
+ * leaving the app. All chat-command handling (tm_<lang>, _tl, _re, code_<lang>) is
+ * unchanged; the triggers can be renamed or aliased under "commands" in config.json.
  *
  * Runtime dependencies (unchanged from the CLI version)
  * -----------------------------------------------------
- *   nodejs 18+, xdotool, google-translate-api-x, chalk, fuzzball
+ *   nodejs 18+, xdotool (or ydotool / wtype), google-translate-api-x, chalk, fuzzball
+ *   Other translation backends (LibreTranslate, DeepL) are plain HTTP calls
+ *   through Node's built-in fetch.
  *   No new dependencies are added for the GUI — it uses Node's built-in http
- *   module and Server-Sent Events.
+ *   module, Server-Sent Events and a small WebSocket endpoint (/ws).
  */
 
 import fs from "fs";
 import http from "http";
+import net from "net";
+import crypto from "crypto";
 import readline from "readline";
-import { exec as execChild } from "child_process";
+import { exec as execChild, execFile } from "child_process";
+import { StringDecoder } from "string_decoder";
 import translate from "google-translate-api-x";
 import path from "path";
 import os from "os";
@@ -52,6 +63,25 @@ let CHAT_CFG = "";
 let BIND_KEY = "l";
 let AUTO_TRANSLATE_TARGET = "en";
 let AUTO_TRANSLATE = true;
+// --no-send: handle everything as usual but never touch chat_reader.cfg or
+// press the bind key (replays, demos, debugging).
+let SEND_CHAT = true;
+let SEND_SPACING_MS = 1200;
+// How the bind key is pressed (see KEY_INJECTORS).
+let KEY_INJECTOR = "xdotool";
+let KEY_COMMAND = "";
+let KEY_DRY_RUN_FILE = "";
+let HISTORY_ENABLED = true;
+let HISTORY_RETENTION_DAYS = 90;
+// Per-player rules, keyed by lower-cased player name (see normalizePlayerRules).
+let PLAYER_RULES = new Map();
+let GLOSSARY_ENABLED = true;
+let TRANSLATOR = "google";
+let TRANSLATOR_URL = "";
+let TRANSLATOR_API_KEY = "";
+let CACHE_ENABLED = true;
+let CACHE_MAX_ENTRIES = 5000;
+let CACHE_TTL_HOURS = 168;
 
 // Chat-tag prefixes used by the CS2 client. These differ per client language
 // (e.g. Russian / Chinese clients use different strings). Users configure them.
@@ -75,68 +105,350 @@ const CONFIG_DIR = process.env.XDG_CONFIG_HOME
   ? path.join(process.env.XDG_CONFIG_HOME, "cs2-chat-translator")
   : path.join(os.homedir(), ".config", "cs2-chat-translator");
 const CONFIG_PATH = path.join(CONFIG_DIR, "config.json");
+const CACHE_PATH = path.join(CONFIG_DIR, "translation-cache.json");
+const HISTORY_DIR = path.join(CONFIG_DIR, "history");
+const GLOSSARY_PATH = path.join(CONFIG_DIR, "glossary.json");
+const DEFAULT_KEY_DRY_RUN_FILE = path.join(CONFIG_DIR, "key-presses.log");
 
-const guessedRoot = path.join(
-  os.homedir(),
-  ".local/share/Steam/steamapps/common/Counter-Strike Global Offensive/game/csgo"
-);
+// -----------------------------------------------------------------------------
+// Steam library discovery (default paths, --detect-paths, --doctor)
+// -----------------------------------------------------------------------------
+
+// Where Steam usually lives on Linux: native, ~/.steam symlink, Flatpak
+// (current and old data dir), Snap.
+const STEAM_ROOTS = [
+  path.join(os.homedir(), ".local/share/Steam"),
+  path.join(os.homedir(), ".steam/steam"),
+  path.join(os.homedir(), ".var/app/com.valvesoftware.Steam/.local/share/Steam"),
+  path.join(os.homedir(), ".var/app/com.valvesoftware.Steam/data/Steam"),
+  path.join(os.homedir(), "snap/steam/common/.local/share/Steam")
+];
+
+const CS2_APP_ID = "730";
+
+// Existing Steam roots, symlinks resolved so ~/.steam/steam is not seen twice.
+function steamRoots() {
+  const roots = new Set();
+  for (const root of STEAM_ROOTS) {
+    try { roots.add(fs.realpathSync(root)); } catch {}
+  }
+  return Array.from(roots);
+}
+
+function vdfString(s) {
+  return s.replace(/\\\\/g, "\\");
+}
+
+// Every library folder listed in the roots' libraryfolders.vdf, plus the
+// roots themselves (the first library is not always listed in old files).
+function steamLibraries() {
+  const libs = new Set();
+  for (const root of steamRoots()) {
+    libs.add(root);
+    for (const rel of ["steamapps/libraryfolders.vdf", "config/libraryfolders.vdf"]) {
+      let txt;
+      try { txt = fs.readFileSync(path.join(root, rel), "utf8"); } catch { continue; }
+      for (const m of txt.matchAll(/"path"\s+"([^"]+)"/gi)) {
+        try { libs.add(fs.realpathSync(vdfString(m[1]))); } catch {}
+      }
+    }
+  }
+  return Array.from(libs);
+}
+
+// CS2 installs found through appmanifest_730.acf, each with the derived
+// console.log and cfg paths. Libraries without a manifest are skipped.
+function detectCs2Installs() {
+  const installs = [];
+  for (const library of steamLibraries()) {
+    const manifest = path.join(library, "steamapps", `appmanifest_${CS2_APP_ID}.acf`);
+    let txt;
+    try { txt = fs.readFileSync(manifest, "utf8"); } catch { continue; }
+    const installDir = vdfString(txt.match(/"installdir"\s+"([^"]+)"/i)?.[1] || "Counter-Strike Global Offensive");
+    const gameDir = path.join(library, "steamapps/common", installDir, "game/csgo");
+    installs.push({
+      library, manifest, gameDir,
+      logPath: path.join(gameDir, "console.log"),
+      cfgDir: path.join(gameDir, "cfg"),
+      exists: fs.existsSync(gameDir)
+    });
+  }
+  return installs.sort((a, b) => b.exists - a.exists);
+}
+
+function detectPathsCli() {
+  console.log(chalk.bold("Steam roots:"));
+  const roots = steamRoots();
+  for (const r of roots) console.log(`  ${r}`);
+  if (!roots.length) console.log(chalk.gray(`  none found (looked in ${STEAM_ROOTS.join(", ")})`));
+  console.log(chalk.bold("Libraries:"));
+  for (const l of steamLibraries()) console.log(`  ${l}`);
+  console.log(chalk.bold("CS2 installs:"));
+  const installs = detectCs2Installs();
+  if (!installs.length) console.log(chalk.gray("  none found (no appmanifest_730.acf in any library)"));
+  installs.forEach((c, i) => {
+    const mark = c.exists ? sym.ok : sym.warn;
+    console.log(mark, c.gameDir + (c.exists ? "" : chalk.yellow(" (game dir missing)")));
+    logKV("logPath", `${c.logPath}${fs.existsSync(c.logPath) ? "" : " (not written yet, needs -condebug)"}`);
+    logKV("cfgDir", c.cfgDir);
+    if (i === 0 && c.exists) {
+      logKV("apply", `cs2-chat-translator --set-log-path "${c.logPath}" && cs2-chat-translator --set-cfg-dir "${c.cfgDir}"`);
+    }
+  });
+}
+
+// Default game dir: the first detected install, else the classic native path.
+const guessedRoot =
+  detectCs2Installs()[0]?.gameDir ||
+  path.join(os.homedir(), ".local/share/Steam/steamapps/common/Counter-Strike Global Offensive/game/csgo");
+
+const PLAYER_RULE_FLAGS = ["mute", "noAuto", "ignoreCommands"];
+
+// Keeps only known flags that are set and a plausible sourceLang; players
+// without any active rule are dropped so the config stays tidy.
+function normalizePlayerRules(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [name, rule] of Object.entries(raw)) {
+    const player = String(name).trim();
+    if (!player || !rule || typeof rule !== "object") continue;
+    const clean = {};
+    for (const flag of PLAYER_RULE_FLAGS) if (rule[flag] === true) clean[flag] = true;
+    const src = typeof rule.sourceLang === "string" ? rule.sourceLang.trim().toLowerCase() : "";
+    if (/^[a-z_]{2,5}$/.test(src)) clean.sourceLang = src;
+    if (Object.keys(clean).length) out[player] = clean;
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Config schema, validation and migration
+// -----------------------------------------------------------------------------
 
-const defaultConfig = {
-  logPath: path.join(guessedRoot, "console.log"),
-  cfgDir: path.join(guessedRoot, "cfg"),
-  bindKey: "l",
-  autoTranslate: true,
-  autoTranslateTarget: "en",
-  tagCT: "CT",
-  tagT: "T",
-  tagAll: "ALL"
+// Bump together with a new CONFIG_MIGRATIONS entry whenever a stored setting
+// changes meaning. Files without "version" predate versioning (version 0).
+const CONFIG_VERSION = 1;
+
+// Field checks return an error message, or null when the value is usable.
+const isBoolean = (v) => (typeof v === "boolean" ? null : "must be true or false");
+const isString = (v) => (typeof v === "string" ? null : "must be a string");
+const isNonEmptyString = (v) =>
+  typeof v === "string" && v.trim() ? null : "must not be empty";
+const isObject = (v) =>
+  v && typeof v === "object" && !Array.isArray(v) ? null : "must be an object";
+const isNameList = (v) =>
+  Array.isArray(v) && v.every((n) => typeof n === "string") ? null : "must be a list of player names";
+const atLeastZero = ({ integer = false } = {}) => (v) =>
+  typeof v === "number" && Number.isFinite(v) && v >= 0 && (!integer || Number.isInteger(v))
+    ? null
+    : `must be a ${integer ? "whole " : ""}number ≥ 0`;
+const trim = (v) => v.trim();
+
+// One entry per setting: its default, how a value is checked, and how an
+// accepted value is cleaned up. loadConfig, saveConfig and POST /api/config
+// all go through validateConfig, so a new setting only needs a line here.
+//
+// "fileOnly" settings run programs or write files, so only config.json may
+// set them, never the HTTP / WebSocket API. "secret" and "fileOnly" settings
+// are never shown to other devices.
+const CONFIG_SCHEMA = {
+  logPath: { default: path.join(guessedRoot, "console.log"), check: isNonEmptyString, normalize: trim },
+  cfgDir: { default: path.join(guessedRoot, "cfg"), check: isNonEmptyString, normalize: trim },
+  bindKey: {
+    default: "l",
+    check: (v) =>
+      typeof v === "string" && /^[a-z0-9_]{1,16}$/i.test(v.trim())
+        ? null
+        : "must be a single key name such as l, f8 or kp_5",
+    normalize: trim
+  },
+  keyInjector: {
+    default: "xdotool",
+    check: (v) => (KEY_INJECTORS[v] ? null : `must be one of ${Object.keys(KEY_INJECTORS).join(", ")}`)
+  },
+  keyCommand: { default: "", check: isString, normalize: trim, fileOnly: true },
+  keyDryRunFile: { default: "", check: isString, normalize: trim, fileOnly: true },
+  autoTranslate: { default: true, check: isBoolean },
+  autoTranslateTarget: {
+    default: "en",
+    check: (v) =>
+      typeof v === "string" && LANG_MAP[v.trim().toLowerCase()]
+        ? null
+        : `unknown language code "${v}"`,
+    normalize: (v) => v.trim().toLowerCase()
+  },
+  tagCT: { default: "CT", check: isChatTag, normalize: trim },
+  tagT: { default: "T", check: isChatTag, normalize: trim },
+  tagAll: { default: "ALL", check: isChatTag, normalize: trim },
+  translator: {
+    default: "google",
+    check: (v) => (TRANSLATORS[v] ? null : `must be one of ${Object.keys(TRANSLATORS).join(", ")}`)
+  },
+  translatorUrl: {
+    default: "",
+    check: (v) =>
+      typeof v === "string" && (v.trim() === "" || /^https?:\/\/\S+$/i.test(v.trim()))
+        ? null
+        : "must be empty or an http(s) URL",
+    normalize: trim
+  },
+  translatorApiKey: { default: "", check: isString, normalize: trim, secret: true },
+  cacheEnabled: { default: true, check: isBoolean },
+  cacheMaxEntries: { default: 5000, check: atLeastZero({ integer: true }) },
+  cacheTtlHours: { default: 168, check: atLeastZero() },
+  sendSpacingMs: { default: 1200, check: atLeastZero({ integer: true }) },
+  historyEnabled: { default: true, check: isBoolean },
+  historyRetentionDays: { default: 90, check: atLeastZero() },
+  playerRules: { default: {}, check: isObject, normalize: normalizePlayerRules },
+  scriptPreferences: {
+    default: defaultScriptPreferences(), check: isObject, normalize: normalizeScriptPreferences
+  },
+  glossaryEnabled: { default: true, check: isBoolean },
+  commands: { default: defaultCommandSettings(), check: isObject, normalize: normalizeCommandSettings },
+  templates: { default: defaultTemplates(), check: isObject, normalize: normalizeTemplates },
+  owners: { default: [], check: isNameList, normalize: normalizeNameList },
+  friends: { default: [], check: isNameList, normalize: normalizeNameList },
+  commandCooldownSec: { default: 3, check: atLeastZero() },
+  host: { default: "127.0.0.1", check: isHostAddress, normalize: trim },
+  pairingTokens: { default: [], check: isPairingList, normalize: normalizePairingTokens, secret: true }
 };
 
+// Tags end up inside the "[...]" of the chat-line regex.
+function isChatTag(v) {
+  if (typeof v !== "string" || !v.trim()) return "must not be empty";
+  return /[[\]]/.test(v) ? "must not contain [ or ]" : null;
+}
+
+const defaultConfig = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+// Checks `input` field by field on top of `base`. Rejected and unknown fields
+// keep the base value and are reported in `errors` (field → message).
+function validateConfig(input, base = defaultConfig) {
+  const config = { ...base };
+  const errors = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    if (key === "version" || value === undefined) continue;
+    const field = CONFIG_SCHEMA[key];
+    if (!field) {
+      errors[key] = "unknown setting";
+      continue;
+    }
+    const problem = field.check(value);
+    if (problem) errors[key] = problem;
+    else config[key] = field.normalize ? field.normalize(value) : value;
+  }
+  return { config, errors };
+}
+
+// CONFIG_MIGRATIONS[n] turns a version n file into version n + 1.
+const CONFIG_MIGRATIONS = [
+  // 0 → 1: the old loader treated "" as "use the default" and ran numbers
+  // through Number(), so drop empty strings, convert numeric strings and
+  // store the target language the way it is looked up.
+  (cfg) => {
+    const out = { ...cfg };
+    for (const [key, value] of Object.entries(out)) {
+      const field = CONFIG_SCHEMA[key];
+      if (!field || typeof value !== "string") continue;
+      if (value === "" && field.default !== "") delete out[key];
+      else if (typeof field.default === "number" && value.trim() !== "" && Number.isFinite(Number(value))) {
+        out[key] = Number(value);
+      }
+    }
+    if (typeof out.autoTranslateTarget === "string") {
+      out.autoTranslateTarget = out.autoTranslateTarget.trim().toLowerCase().replace(/-/g, "_");
+    }
+    return out;
+  }
+];
+
+function migrateConfig(raw) {
+  let cfg = { ...raw };
+  let version = Number.isInteger(raw.version) ? raw.version : 0;
+  while (version < CONFIG_VERSION) {
+    cfg = CONFIG_MIGRATIONS[version](cfg);
+    version++;
+  }
+  return cfg;
+}
+
+// loadConfig runs on every GUI refresh; report each problem only once.
+const reportedConfigProblems = new Set();
+
+function reportConfigProblem(message) {
+  if (reportedConfigProblems.has(message)) return;
+  reportedConfigProblems.add(message);
+  console.error(chalk.yellow(`config.json: ${message}`));
+}
+
+function configErrorMessage(errors) {
+  return Object.entries(errors).map(([key, msg]) => `${key} ${msg}`).join("; ");
+}
+
 function loadConfig() {
+  // A rejected hand edit stays on disk; keep building on the settings in use
+  // so the next save does not write it (or a reset) back.
+  if (configRejected && lastGoodConfig) return structuredClone(lastGoodConfig);
   try {
     if (!fs.existsSync(CONFIG_PATH)) return { ...defaultConfig };
     const txt = fs.readFileSync(CONFIG_PATH, "utf8").trim();
     if (!txt) return { ...defaultConfig };
-    const cfg = JSON.parse(txt);
-    return {
-      logPath: cfg.logPath || defaultConfig.logPath,
-      cfgDir: cfg.cfgDir || defaultConfig.cfgDir,
-      bindKey: cfg.bindKey || defaultConfig.bindKey,
-      autoTranslate:
-        typeof cfg.autoTranslate === "boolean"
-          ? cfg.autoTranslate
-          : defaultConfig.autoTranslate,
-      autoTranslateTarget:
-        cfg.autoTranslateTarget || defaultConfig.autoTranslateTarget,
-      tagCT: cfg.tagCT || defaultConfig.tagCT,
-      tagT: cfg.tagT || defaultConfig.tagT,
-      tagAll: cfg.tagAll || defaultConfig.tagAll
-    };
+    const raw = JSON.parse(txt);
+    const version = Number.isInteger(raw.version) ? raw.version : 0;
+    if (version > CONFIG_VERSION) {
+      reportConfigProblem(`written by a newer version (${version}), unknown settings are ignored`);
+    }
+    const { config, errors } = validateConfig(migrateConfig(raw));
+    for (const [key, msg] of Object.entries(errors)) {
+      reportConfigProblem(
+        msg === "unknown setting"
+          ? `ignoring unknown setting "${key}"`
+          : `${key} ${msg}, using ${JSON.stringify(defaultConfig[key])}`
+      );
+    }
+    if (version < CONFIG_VERSION) persistMigration(txt, version, config);
+    return config;
   } catch (err) {
     console.error(chalk.red(`Failed to load config: ${err.message}`));
     return { ...defaultConfig };
   }
 }
 
+// Keeps the pre-migration file next to the new one, then writes the migrated
+// config so the migration runs once.
+function persistMigration(originalText, fromVersion, config) {
+  const backup = `${CONFIG_PATH}.v${fromVersion}.bak`;
+  try {
+    if (!fs.existsSync(backup)) fs.writeFileSync(backup, originalText, "utf8");
+    writeConfigFile(config);
+    console.error(chalk.cyan(`config.json migrated to version ${CONFIG_VERSION} (backup: ${backup})`));
+  } catch (err) {
+    reportConfigProblem(`could not write the migrated config: ${err.message}`);
+  }
+}
+
+function writeConfigFile(config) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  lastWrittenConfig = JSON.stringify({ version: CONFIG_VERSION, ...config }, null, 2);
+  fs.writeFileSync(CONFIG_PATH, lastWrittenConfig, "utf8");
+  configRejected = false;
+  lastGoodConfig = structuredClone(config);
+}
+
+// Throws (with `fields` set to the per-field messages) when a value is
+// invalid; nothing is written in that case.
 function saveConfig(cfg) {
+  const { config, errors } = validateConfig(cfg);
+  if (Object.keys(errors).length) {
+    const err = new Error(`Invalid config: ${configErrorMessage(errors)}`);
+    err.fields = errors;
+    throw err;
+  }
   try {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
-    const merged = {
-      logPath: cfg.logPath || defaultConfig.logPath,
-      cfgDir: cfg.cfgDir || defaultConfig.cfgDir,
-      bindKey: cfg.bindKey || defaultConfig.bindKey,
-      autoTranslate:
-        typeof cfg.autoTranslate === "boolean"
-          ? cfg.autoTranslate
-          : defaultConfig.autoTranslate,
-      autoTranslateTarget:
-        cfg.autoTranslateTarget || defaultConfig.autoTranslateTarget,
-      tagCT: cfg.tagCT || defaultConfig.tagCT,
-      tagT: cfg.tagT || defaultConfig.tagT,
-      tagAll: cfg.tagAll || defaultConfig.tagAll
-    };
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(merged, null, 2), "utf8");
-    return merged;
+    writeConfigFile(config);
+    return config;
   } catch (err) {
     console.error(chalk.red(`Failed to write config: ${err.message}`));
     process.exit(1);
@@ -144,17 +456,35 @@ function saveConfig(cfg) {
 }
 
 function initConfigCli() {
-  const merged = saveConfig(loadConfig());
+  const cfg = loadConfig();
+  // Configured game paths that no longer exist (moved library, first run with
+  // an old guess) are replaced by the detected install.
+  const detected = detectCs2Installs().find((c) => c.exists);
+  if (detected && !fs.existsSync(cfg.cfgDir) && detected.cfgDir !== cfg.cfgDir) {
+    console.log(chalk.yellow(`cfgDir ${cfg.cfgDir} not found, using detected CS2 install:`));
+    console.log(`  ${detected.gameDir}`);
+    cfg.cfgDir = detected.cfgDir;
+    if (!fs.existsSync(cfg.logPath)) cfg.logPath = detected.logPath;
+  }
+  const merged = saveConfig(cfg);
   console.log(chalk.green("Config initialized/updated:"));
   console.log(`  ${CONFIG_PATH}`);
   console.log("Effective values:");
-  for (const [k, v] of Object.entries(merged)) console.log(`  ${k}: ${v}`);
+  for (const [k, v] of Object.entries(merged)) {
+    console.log(`  ${k}: ${typeof v === "object" ? JSON.stringify(v) : v}`);
+  }
 }
 
 function updateConfigKey(key, value) {
   const cfg = loadConfig();
   cfg[key] = value;
-  const merged = saveConfig(cfg);
+  let merged;
+  try {
+    merged = saveConfig(cfg);
+  } catch (err) {
+    console.error(chalk.red(`❌ ${key} ${err.fields?.[key] || err.message}`));
+    process.exit(1);
+  }
   console.log(chalk.green(`Config updated (${key}):`));
   console.log(`  ${CONFIG_PATH}`);
   console.log(`  ${key}: ${merged[key]}`);
@@ -162,18 +492,65 @@ function updateConfigKey(key, value) {
 
 function setupFromConfig() {
   const cfg = loadConfig();
+  lastGoodConfig = structuredClone(cfg);
   LOG_PATH = cfg.logPath;
   CSGO_CFG_DIR = cfg.cfgDir;
   BIND_KEY = cfg.bindKey || "l";
+  KEY_INJECTOR = KEY_INJECTORS[cfg.keyInjector] ? cfg.keyInjector : defaultConfig.keyInjector;
+  KEY_COMMAND = cfg.keyCommand || "";
+  KEY_DRY_RUN_FILE = cfg.keyDryRunFile || DEFAULT_KEY_DRY_RUN_FILE;
   AUTO_TRANSLATE = cfg.autoTranslate !== false;
   AUTO_TRANSLATE_TARGET = cfg.autoTranslateTarget || "en";
   TAG_CT = cfg.tagCT || defaultConfig.tagCT;
   TAG_T = cfg.tagT || defaultConfig.tagT;
   TAG_ALL = cfg.tagAll || defaultConfig.tagAll;
+  TRANSLATOR = TRANSLATORS[cfg.translator] ? cfg.translator : defaultConfig.translator;
+  TRANSLATOR_URL = cfg.translatorUrl || "";
+  TRANSLATOR_API_KEY = cfg.translatorApiKey || "";
+  CACHE_ENABLED = cfg.cacheEnabled !== false;
+  CACHE_MAX_ENTRIES = cfg.cacheMaxEntries;
+  CACHE_TTL_HOURS = cfg.cacheTtlHours;
+  SEND_SPACING_MS = cfg.sendSpacingMs;
+  HISTORY_ENABLED = cfg.historyEnabled !== false;
+  HISTORY_RETENTION_DAYS = cfg.historyRetentionDays;
+  applyHistoryEnabled();
+  applyPlayerRules(cfg.playerRules);
+  SCRIPT_PREFERENCES = cfg.scriptPreferences;
+  GLOSSARY_ENABLED = cfg.glossaryEnabled !== false;
+  loadGlossary();
+  loadTranslationCache();
+  pruneTranslationCache();
+  COMMAND_SETTINGS = cfg.commands;
+  TEMPLATES = cfg.templates;
+  OWNERS = new Set(cfg.owners.map((n) => n.toLowerCase()));
+  FRIENDS = new Set(cfg.friends.map((n) => n.toLowerCase()));
+  COMMAND_COOLDOWN_SEC = cfg.commandCooldownSec;
+  PAIRING_TOKENS = cfg.pairingTokens;
+  rebuildCommandTriggers();
   rebuildTagRegex();
   CHAT_CFG = path.join(CSGO_CFG_DIR, "chat_reader.cfg");
 }
 
+// Partial update from the GUI or the WebSocket API: only the given fields
+// change, and any invalid field rejects the whole update (err.fields holds
+// the per-field messages).
+function applyConfigUpdate(body) {
+  const { config, errors } = validateConfig(body, loadConfig());
+  for (const key of Object.keys(body || {})) {
+    if (CONFIG_SCHEMA[key]?.fileOnly) errors[key] = "can only be set in config.json";
+  }
+  if (Object.keys(errors).length) {
+    const err = new Error(`Invalid config: ${configErrorMessage(errors)}`);
+    err.fields = errors;
+    throw err;
+  }
+  const merged = saveConfig(config);
+  setupFromConfig();
+  if (!replayState) restartWatchingIfMoved();
+  broadcast("status", statusSnapshot());
+  return merged;
+}
+
 // -----------------------------------------------------------------------------
 // Console styling utilities
 // -----------------------------------------------------------------------------
@@ -227,14 +604,129 @@ const LANG_MAP = {
   yi:"Yiddish", yo:"Yoruba", zu:"Zulu"
 };
 
-const PREFER_RU_FOR_CYRILLIC = true;
-const CYRILLIC_REGEX = /[\u0400-\u04FF]/;
+// -----------------------------------------------------------------------------
+// Local script / letter pre-detection
+// -----------------------------------------------------------------------------
+//
+// Online detectors get short chat lines wrong a lot (Russian read as
+// Bulgarian, Ukrainian read as Russian, ...). Before translating we look at
+// the writing system ourselves:
+//   - letter rules pick out characters only one Cyrillic language uses
+//     (ї/є → uk, ў → be, ...). A hit forces that source language.
+//   - script rules name the dominant script. The preferred language for it is
+//     a hint: when the provider detects something else, the text is translated
+//     again from the preferred language.
+// Both are looked up in SCRIPT_PREFERENCES (config "scriptPreferences"), so
+// users can change or disable ("") any of them.
+
+// Checked in order. "і" is shared by uk, be and kk, so it only counts for
+// Ukrainian after the Belarusian and Kazakh letters had their chance.
+const LETTER_RULES = [
+  { id: "cyrillic-be", regex: /[ўЎ]/ },
+  { id: "cyrillic-kk", regex: /[әңұқғӘҢҰҚҒ]/ },
+  { id: "cyrillic-tg", regex: /[ҷӣӯҶӢӮ]/ },
+  { id: "cyrillic-sr", regex: /[ђћЂЋ]/ },
+  { id: "cyrillic-mk", regex: /[ѓќѕЃЌЅ]/ },
+  { id: "cyrillic-uk", regex: /[ґєїіҐЄЇІ]/ }
+];
+
+const SCRIPT_RULES = [
+  { id: "cyrillic", regex: /\p{Script=Cyrillic}/u },
+  { id: "greek", regex: /\p{Script=Greek}/u },
+  { id: "arabic", regex: /\p{Script=Arabic}/u },
+  { id: "hebrew", regex: /\p{Script=Hebrew}/u },
+  { id: "hangul", regex: /\p{Script=Hangul}/u },
+  { id: "kana", regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { id: "han", regex: /\p{Script=Han}/u },
+  { id: "thai", regex: /\p{Script=Thai}/u },
+  { id: "lao", regex: /\p{Script=Lao}/u },
+  { id: "khmer", regex: /\p{Script=Khmer}/u },
+  { id: "myanmar", regex: /\p{Script=Myanmar}/u },
+  { id: "devanagari", regex: /\p{Script=Devanagari}/u },
+  { id: "bengali", regex: /\p{Script=Bengali}/u },
+  { id: "gurmukhi", regex: /\p{Script=Gurmukhi}/u },
+  { id: "gujarati", regex: /\p{Script=Gujarati}/u },
+  { id: "tamil", regex: /\p{Script=Tamil}/u },
+  { id: "telugu", regex: /\p{Script=Telugu}/u },
+  { id: "kannada", regex: /\p{Script=Kannada}/u },
+  { id: "malayalam", regex: /\p{Script=Malayalam}/u },
+  { id: "sinhala", regex: /\p{Script=Sinhala}/u },
+  { id: "georgian", regex: /\p{Script=Georgian}/u },
+  { id: "armenian", regex: /\p{Script=Armenian}/u },
+  { id: "ethiopic", regex: /\p{Script=Ethiopic}/u }
+];
+
+// Scripts shared by several languages (Arabic, Han, Devanagari, ...) are left
+// to the provider by default; set a preference if your lobbies are one-sided.
+// (A function rather than a constant because defaultConfig needs it before
+// this part of the file has run.)
+function defaultScriptPreferences() {
+  return {
+    "cyrillic-uk": "uk", "cyrillic-be": "be", "cyrillic-sr": "sr",
+    "cyrillic-mk": "mk", "cyrillic-kk": "kk", "cyrillic-tg": "tg",
+    cyrillic: "ru", greek: "el", arabic: "", hebrew: "he", hangul: "ko",
+    kana: "ja", han: "", thai: "th", lao: "lo", khmer: "km", myanmar: "my",
+    devanagari: "", bengali: "bn", gurmukhi: "pa", gujarati: "gu", tamil: "ta",
+    telugu: "te", kannada: "kn", malayalam: "ml", sinhala: "si",
+    georgian: "ka", armenian: "hy", ethiopic: "am"
+  };
+}
+
+function normalizeScriptPreferences(raw) {
+  const out = defaultScriptPreferences();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [id, lang] of Object.entries(raw)) {
+    if (!(id in out) || typeof lang !== "string") continue;
+    const v = lang.trim().toLowerCase();
+    if (v === "" || /^[a-z_]{2,5}$/.test(v)) out[id] = v;
+  }
+  return out;
+}
+
+let SCRIPT_PREFERENCES = defaultScriptPreferences();
+
+function dominantScript(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    const rule = SCRIPT_RULES.find((r) => r.regex.test(ch));
+    if (rule) counts.set(rule.id, (counts.get(rule.id) || 0) + 1);
+  }
+  // Japanese mixes kana with Han; any kana at all means Japanese, not Chinese.
+  if (counts.has("kana") && counts.has("han")) {
+    counts.set("kana", counts.get("kana") + counts.get("han"));
+    counts.delete("han");
+  }
+  let best = null;
+  for (const [id, n] of counts) if (!best || n > best.n) best = { id, n };
+  return best?.id || null;
+}
+
+/**
+ * Returns { rule, lang, force } for the first matching letter rule (force) or
+ * the dominant script (hint), skipping rules whose preference is disabled.
+ * Returns null for Latin-only text or when nothing applies.
+ */
+function scriptHint(text) {
+  const script = dominantScript(String(text || ""));
+  if (!script) return null;
+  if (script === "cyrillic") {
+    for (const r of LETTER_RULES) {
+      if (SCRIPT_PREFERENCES[r.id] && r.regex.test(text)) {
+        return { rule: r.id, lang: SCRIPT_PREFERENCES[r.id], force: true };
+      }
+    }
+  }
+  const lang = SCRIPT_PREFERENCES[script];
+  return lang ? { rule: script, lang, force: false } : null;
+}
 
 // -----------------------------------------------------------------------------
 // SSE broadcast plumbing for the web GUI
 // -----------------------------------------------------------------------------
 
 const sseClients = new Set();
+// Open WebSocket connections (see "WebSocket API"); they get every event too.
+const wsClients = new Set();
 const recentEvents = [];
 const MAX_RECENT = 300;
 
@@ -242,16 +734,194 @@ function broadcast(type, payload) {
   const evt = { type, payload, at: Date.now() };
   recentEvents.push(evt);
   if (recentEvents.length > MAX_RECENT) recentEvents.shift();
+  recordHistory(evt);
   const data = `event: ${type}\ndata: ${JSON.stringify(evt)}\n\n`;
   for (const res of sseClients) {
     try { res.write(data); } catch { /* client gone, will be cleaned up */ }
   }
+  for (const client of wsClients) {
+    try { wsSend(client, { type: "event", event: type, payload, at: evt.at }); } catch { /* closing */ }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Chat history (persisted under CONFIG_DIR/history, one file per session)
+// -----------------------------------------------------------------------------
+//
+// Every chat line, auto-translation and command is appended as one JSON line
+// to the current session's file. A session is one run of the tool (a replay
+// gets its own, marked with the replayed file), so "two matches ago" is
+// usually one or two sessions back.
+
+const HISTORY_TYPES = new Set(["chat", "auto", "command"]);
+const HISTORY_DEFAULT_LIMIT = 200;
+const HISTORY_MAX_LIMIT = 2000;
+
+let historySession = null;
+// What this run records ({ source, file }), kept so that turning
+// historyEnabled back on at runtime can open a new session for it.
+let historySource = null;
+
+function startHistorySession({ source = "live", file = null } = {}) {
+  historySource = { source, file };
+  if (!HISTORY_ENABLED) { historySession = null; return; }
+  const startedAt = Date.now();
+  const id = new Date(startedAt).toISOString().replace(/[:.]/g, "-");
+  historySession = { id, startedAt, source, file, path: path.join(HISTORY_DIR, `${id}.jsonl`) };
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.appendFileSync(
+      historySession.path,
+      JSON.stringify({ type: "session", at: startedAt, payload: { source, file } }) + "\n",
+      "utf8"
+    );
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`History disabled, cannot write ${HISTORY_DIR}: ${err.message}`));
+    historySession = null;
+  }
+  pruneHistory();
+}
+
+// Applies a changed historyEnabled without a restart: recording stops right
+// away, and turning it back on starts a new session file.
+function applyHistoryEnabled() {
+  if (!historySource) return; // before startup, or a one-shot CLI command
+  if (!HISTORY_ENABLED) historySession = null;
+  else if (!historySession) startHistorySession(historySource);
+}
+
+function recordHistory(evt) {
+  if (!historySession || !HISTORY_TYPES.has(evt.type)) return;
+  try {
+    fs.appendFileSync(historySession.path, JSON.stringify(evt) + "\n", "utf8");
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Failed to write history: ${err.message}`));
+  }
+}
+
+// Newest first. File names are ISO timestamps, so they sort chronologically.
+function listHistorySessions() {
+  try {
+    return fs.readdirSync(HISTORY_DIR)
+      .filter((f) => f.endsWith(".jsonl"))
+      .sort()
+      .reverse()
+      .map((f) => ({ id: f.slice(0, -".jsonl".length), path: path.join(HISTORY_DIR, f) }));
+  } catch {
+    return [];
+  }
+}
+
+function historySessionsSummary() {
+  return listHistorySessions().map((s) => {
+    let header = {};
+    try {
+      const fd = fs.openSync(s.path, "r");
+      const buf = Buffer.alloc(4096);
+      const n = fs.readSync(fd, buf, 0, buf.length, 0);
+      fs.closeSync(fd);
+      header = JSON.parse(buf.subarray(0, n).toString("utf8").split("\n")[0]);
+    } catch { /* headerless or unreadable session file */ }
+    return { id: s.id, startedAt: header.at ?? null, ...(header.payload || {}) };
+  });
+}
+
+function pruneHistory() {
+  if (!HISTORY_RETENTION_DAYS) return;
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 86400_000;
+  for (const s of listHistorySessions()) {
+    try {
+      if (fs.statSync(s.path).mtimeMs < cutoff) fs.unlinkSync(s.path);
+    } catch { /* already gone */ }
+  }
+}
+
+function parseHistoryTime(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(n)) throw new Error(`invalid time: ${v}`);
+  return n;
+}
+
+function historyLangOf(p) {
+  return String(p.fromIso || p.lang || "").toLowerCase();
+}
+
+function historyText(p) {
+  return [p.sender, p.message, p.original, p.translated, p.reply]
+    .filter(Boolean).join("\n").toLowerCase();
+}
+
+/**
+ * Search the stored history. All filters are optional and combined with AND:
+ *   player  - case-insensitive substring of the sender
+ *   lang    - detected source language code (auto-translations and commands)
+ *   from/to - time range, epoch ms or anything Date.parse understands
+ *   q       - case-insensitive full-text match over message and translations
+ *   type    - comma-separated event types (chat, auto, command)
+ *   session - restrict to one session id
+ * Results are newest first. Session files are streamed, keeping only the
+ * newest matches that still fit under the limit, so a search neither blocks
+ * the event loop nor holds a whole file in memory.
+ */
+async function searchHistory(query = {}) {
+  const player = String(query.player || "").trim().toLowerCase();
+  const lang = String(query.lang || "").trim().toLowerCase();
+  const q = String(query.q || "").trim().toLowerCase();
+  const types = query.type
+    ? new Set(String(query.type).split(",").map((t) => t.trim()).filter(Boolean))
+    : HISTORY_TYPES;
+  const from = parseHistoryTime(query.from);
+  const to = parseHistoryTime(query.to);
+  const limit = Math.min(Math.max(Number(query.limit) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+
+  const matches = (evt) => {
+    if (!types.has(evt.type)) return false;
+    if (from !== null && evt.at < from) return false;
+    if (to !== null && evt.at > to) return false;
+    const p = evt.payload || {};
+    if (player && !String(p.sender || "").toLowerCase().includes(player)) return false;
+    if (lang && historyLangOf(p) !== lang) return false;
+    if (q && !historyText(p).includes(q)) return false;
+    return true;
+  };
+
+  const results = [];
+  const sessions = listHistorySessions().filter((s) => !query.session || s.id === query.session);
+  for (const session of sessions) {
+    const room = limit - results.length;
+    // Oldest first within the file; the newest `room` matches are kept.
+    const found = [];
+    try {
+      const rl = readline.createInterface({
+        input: fs.createReadStream(session.path, { encoding: "utf8" }),
+        crlfDelay: Infinity
+      });
+      for await (const line of rl) {
+        if (!line) continue;
+        let evt;
+        try { evt = JSON.parse(line); } catch { continue; }
+        if (!matches(evt)) continue;
+        found.push({ ...evt, session: session.id });
+        if (found.length > room) found.shift();
+      }
+    } catch {
+      continue;
+    }
+    results.push(...found.reverse());
+    if (results.length >= limit) break;
+  }
+  return results;
 }
 
 // -----------------------------------------------------------------------------
 // Low-level helpers: CFG writing and key press simulation
 // -----------------------------------------------------------------------------
 
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 function escapeForCfg(text) {
   return text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
 }
@@ -259,6 +929,11 @@ function escapeForCfg(text) {
 function writeChatCfg({ message, team = false }) {
   const safe = escapeForCfg(message);
   const cmd = team ? `say_team "${safe}"` : `say "${safe}"`;
+  if (!SEND_CHAT) {
+    log(sym.cfg, chalk.gray(`(no-send) ${team ? "say_team" : "say"} → ${message}`));
+    broadcast("cfg", { team, message, dryRun: true });
+    return;
+  }
   fs.writeFileSync(
     CHAT_CFG,
     `// Auto-generated by CS2 Chat Translator\n${cmd}\n`,
@@ -268,48 +943,1055 @@ function writeChatCfg({ message, team = false }) {
   broadcast("cfg", { team, message });
 }
 
-function pressBindKey() {
-  execChild(`xdotool key ${BIND_KEY}`, (err) => {
-    if (err) {
-      log(sym.warn, chalk.yellow(`xdotool error: ${err.message}`));
-      broadcast("error", { message: `xdotool error: ${err.message}` });
-    }
+// Resolves to true once the key press went through, false on failure.
+async function pressBindKey() {
+  if (!SEND_CHAT) return true;
+  try {
+    await KEY_INJECTORS[KEY_INJECTOR].press(BIND_KEY);
+    return true;
+  } catch (err) {
+    const message = `${KEY_INJECTOR} error: ${err.message}`;
+    log(sym.warn, chalk.yellow(message));
+    broadcast("error", { message });
+    return false;
+  }
+}
+
+// Runs a program with an argument array (no shell, so a bind key or custom
+// command can never be interpreted as shell syntax).
+function runProgram(file, args) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: 5000 }, (err, _stdout, stderr) => {
+      if (err?.code === "ENOENT") reject(new Error(`${file} not found (is it installed?)`));
+      else if (err) reject(new Error(String(stderr || "").trim() || err.message));
+      else resolve();
+    });
   });
 }
 
+// Linux input event codes for ydotool 1.x, which takes codes instead of key
+// names. Anything not listed is passed through, so a numeric code works too.
+const LINUX_KEYCODES = (() => {
+  const codes = {};
+  "1234567890".split("").forEach((k, i) => { codes[k] = 2 + i; });
+  "qwertyuiop".split("").forEach((k, i) => { codes[k] = 16 + i; });
+  "asdfghjkl".split("").forEach((k, i) => { codes[k] = 30 + i; });
+  "zxcvbnm".split("").forEach((k, i) => { codes[k] = 44 + i; });
+  for (let i = 1; i <= 10; i++) codes[`f${i}`] = 58 + i;
+  codes.f11 = 87;
+  codes.f12 = 88;
+  return codes;
+})();
+
+const KEY_INJECTORS = {
+  xdotool: {
+    label: "xdotool (X11 / XWayland)",
+    press: (key) => runProgram("xdotool", ["key", key])
+  },
+  ydotool: {
+    label: "ydotool (Wayland, needs ydotoold)",
+    press(key) {
+      const code = LINUX_KEYCODES[key.toLowerCase()] ?? key;
+      return runProgram("ydotool", ["key", `${code}:1`, `${code}:0`]);
+    }
+  },
+  wtype: {
+    label: "wtype (wlroots compositors)",
+    press: (key) => runProgram("wtype", ["-k", key])
+  },
+  custom: {
+    label: "Custom command",
+    // keyCommand is split on whitespace; {key} is replaced in every argument.
+    press(key) {
+      const [file, ...args] = KEY_COMMAND.split(/\s+/).filter(Boolean)
+        .map((a) => a.replaceAll("{key}", key));
+      if (!file) return Promise.reject(new Error("keyCommand is empty"));
+      return runProgram(file, args);
+    }
+  },
+  none: {
+    label: "None (only write chat_reader.cfg)",
+    press: async () => {}
+  },
+  "dry-run": {
+    label: "Dry run (log key presses to a file)",
+    press: async (key) => {
+      fs.mkdirSync(path.dirname(KEY_DRY_RUN_FILE), { recursive: true });
+      fs.appendFileSync(KEY_DRY_RUN_FILE, `${new Date().toISOString()} ${key}\n`, "utf8");
+    }
+  }
+};
+
 function langName(iso) {
   const key = (iso || "").toLowerCase();
   return LANG_MAP[key] || key.toUpperCase() || "UNKNOWN";
 }
 
+// -----------------------------------------------------------------------------
+// Outgoing chat queue
+// -----------------------------------------------------------------------------
+//
+// chat_reader.cfg holds exactly one message, so sends must not overlap: a
+// second write before the first key press would overwrite (or double) the
+// first message. Everything that talks in chat goes through enqueueChat, which
+// sends one message at a time and waits SEND_SPACING_MS between them to stay
+// under CS2's chat flood limit.
+
+const KEY_PRESS_DELAY_MS = 150;
+const MAX_QUEUED = 20;
+const MAX_RECENT_SENDS = 30;
+
+const sendQueue = [];
+const recentSends = [];
+let sendSeq = 0;
+let sendBusy = false;
+// When the last message left the queue; the next one waits out the rest of
+// SEND_SPACING_MS even if the queue was empty in between.
+let lastSendAt = 0;
+
+function queueItemView(item) {
+  return {
+    id: item.id, status: item.status, message: item.message, team: item.team,
+    error: item.error, queuedAt: item.queuedAt, sentAt: item.sentAt,
+    depth: sendQueue.length
+  };
+}
+
+function setSendStatus(item, status, error) {
+  item.status = status;
+  if (error) item.error = error;
+  if (status === "sent") item.sentAt = Date.now();
+  if (status === "sent" || status === "failed") bump(metrics.sends, status);
+  broadcast("queue", queueItemView(item));
+}
+
+function enqueueChat({ message, team = false }) {
+  const fitted = fitChatLine(message);
+  if (fitted !== message) {
+    log(sym.warn, chalk.yellow(`Chat line longer than ${CHAT_MAX_BYTES} bytes, shortened: ${message}`));
+    message = fitted;
+  }
+  const item = {
+    id: ++sendSeq, message, team, status: "queued", queuedAt: Date.now()
+  };
+  recentSends.push(item);
+  if (recentSends.length > MAX_RECENT_SENDS) recentSends.shift();
+
+  if (sendQueue.length >= MAX_QUEUED) {
+    log(sym.warn, chalk.yellow(`Send queue full, dropping: ${message}`));
+    setSendStatus(item, "failed", "queue full");
+    return item;
+  }
+  sendQueue.push(item);
+  setSendStatus(item, "queued");
+  drainSendQueue();
+  return item;
+}
+
+// CS2 cuts say / say_team text after 127 bytes (UTF-8), which is well under
+// 127 characters for Cyrillic or CJK. Lines are shortened here, with a
+// visible "…", instead of losing their end in game.
+const CHAT_MAX_BYTES = 127;
+const CHAT_ELLIPSIS = "…";
+
+function fitChatLine(text, max = CHAT_MAX_BYTES) {
+  if (Buffer.byteLength(text, "utf8") <= max) return text;
+  let out = "";
+  let bytes = Buffer.byteLength(CHAT_ELLIPSIS, "utf8");
+  for (const ch of text) {
+    bytes += Buffer.byteLength(ch, "utf8");
+    if (bytes > max) break;
+    out += ch;
+  }
+  return out.trimEnd() + CHAT_ELLIPSIS;
+}
+
+// Joins `parts` with `sep` into as few chat lines as fit CHAT_MAX_BYTES; a
+// part too long on its own gets a line of its own and is shortened.
+function packChatLines(parts, sep) {
+  const lines = [];
+  let line = "";
+  for (const part of parts) {
+    const joined = line ? line + sep + part : part;
+    if (Buffer.byteLength(joined, "utf8") <= CHAT_MAX_BYTES) {
+      line = joined;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = fitChatLine(part);
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+async function drainSendQueue() {
+  if (sendBusy) return;
+  sendBusy = true;
+  try {
+    while (sendQueue.length) {
+      const wait = lastSendAt + SEND_SPACING_MS - Date.now();
+      if (wait > 0) await sleep(wait);
+      const item = sendQueue.shift();
+      setSendStatus(item, "sending");
+      lastSendAt = Date.now();
+      try {
+        writeChatCfg({ message: item.message, team: item.team });
+        await sleep(KEY_PRESS_DELAY_MS);
+        if (await pressBindKey()) setSendStatus(item, "sent");
+        else setSendStatus(item, "failed", "key press failed");
+      } catch (err) {
+        log(sym.warn, chalk.yellow(`Sending failed: ${err.message}`));
+        setSendStatus(item, "failed", err.message);
+      }
+    }
+  } finally {
+    sendBusy = false;
+  }
+}
+
+function queueSnapshot() {
+  return {
+    busy: sendBusy,
+    depth: sendQueue.length,
+    spacingMs: SEND_SPACING_MS,
+    recent: recentSends.map(queueItemView)
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Metrics (GET /metrics for Prometheus, GET /api/stats as JSON)
+// -----------------------------------------------------------------------------
+
+// In-memory counters since start; Prometheus handles the reset on restart.
+// Provider numbers only count real requests, cache hits are counted apart.
+const METRICS_STARTED_AT = Date.now();
+const LATENCY_BUCKETS_SEC = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = {
+  providers: {}, // provider → { requests, failures: { reason: n }, buckets, sumSec }
+  chat: {}, // team → messages seen
+  detectedLanguages: {}, // source language → incoming lines (see noteMessageLang)
+  commands: {}, // command id → { run, denied }
+  sends: {}, // final queue status (sent / failed) → n
+  cache: { hits: 0, misses: 0 } // unlike cacheStats, never reset by "Clear cache"
+};
+
+const bump = (obj, key, by = 1) => { obj[key] = (obj[key] || 0) + by; };
+
+// Throttling shows up as HTTP 429 (LibreTranslate, DeepL) or a "Too Many
+// Requests" error from google-translate-api-x.
+function failureReason(err) {
+  const msg = String(err?.message || err);
+  if (/\b429\b|too many requests|rate.?limit/i.test(msg)) return "throttled";
+  if (/timeout|timed out|aborted/i.test(msg)) return "timeout";
+  return "error";
+}
+
+async function measuredTranslate(provider, text, opts) {
+  const stats = (metrics.providers[provider] ||= {
+    requests: 0, failures: {}, buckets: LATENCY_BUCKETS_SEC.map(() => 0), sumSec: 0
+  });
+  stats.requests++;
+  const started = process.hrtime.bigint();
+  try {
+    return await TRANSLATORS[provider].translate(text, opts);
+  } catch (err) {
+    bump(stats.failures, failureReason(err));
+    throw err;
+  } finally {
+    const sec = Number(process.hrtime.bigint() - started) / 1e9;
+    stats.sumSec += sec;
+    LATENCY_BUCKETS_SEC.forEach((le, i) => { if (sec <= le) stats.buckets[i]++; });
+  }
+}
+
+function countCommand(id, outcome) {
+  bump((metrics.commands[id] ||= { run: 0, denied: 0 }), outcome);
+}
+
+function statsSnapshot() {
+  const providers = {};
+  for (const [name, p] of Object.entries(metrics.providers)) {
+    const failed = Object.values(p.failures).reduce((a, b) => a + b, 0);
+    providers[name] = {
+      requests: p.requests,
+      failures: p.failures,
+      failureRate: p.requests ? Number((failed / p.requests).toFixed(4)) : 0,
+      avgLatencyMs: p.requests ? Math.round((p.sumSec / p.requests) * 1000) : 0,
+      // Cumulative like Prometheus: requests that took at most `le` seconds.
+      latencyBuckets: LATENCY_BUCKETS_SEC.map((le, i) => ({ le, count: p.buckets[i] }))
+    };
+  }
+  return {
+    startedAt: METRICS_STARTED_AT,
+    uptimeSec: Math.round((Date.now() - METRICS_STARTED_AT) / 1000),
+    translator: TRANSLATOR,
+    providers,
+    cache: { ...metrics.cache, entries: translationCache.size },
+    chat: metrics.chat,
+    detectedLanguages: metrics.detectedLanguages,
+    commands: metrics.commands,
+    queue: { depth: sendQueue.length, busy: sendBusy, ...metrics.sends }
+  };
+}
+
+function promLabels(labels) {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function metricsText() {
+  const out = [];
+  const metric = (name, type, help, samples) => {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value, suffix = ""] of samples) out.push(`${name}${suffix}${promLabels(labels)} ${value}`);
+  };
+  const providers = Object.entries(metrics.providers);
+
+  metric("cs2ct_translation_requests_total", "counter", "Requests sent to a translation provider (cache misses).",
+    providers.map(([provider, p]) => [{ provider }, p.requests]));
+  metric("cs2ct_translation_failures_total", "counter", "Failed provider requests by reason (throttled, timeout, error).",
+    providers.flatMap(([provider, p]) => Object.entries(p.failures).map(([reason, n]) => [{ provider, reason }, n])));
+  metric("cs2ct_translation_duration_seconds", "histogram", "Provider request latency.",
+    providers.flatMap(([provider, p]) => [
+      ...LATENCY_BUCKETS_SEC.map((le, i) => [{ provider, le }, p.buckets[i], "_bucket"]),
+      [{ provider, le: "+Inf" }, p.requests, "_bucket"],
+      [{ provider }, p.sumSec.toFixed(6), "_sum"],
+      [{ provider }, p.requests, "_count"]
+    ]));
+  metric("cs2ct_translation_cache_hits_total", "counter", "Translations served from the cache.", [[{}, metrics.cache.hits]]);
+  metric("cs2ct_translation_cache_misses_total", "counter", "Cache lookups that went to the provider.", [[{}, metrics.cache.misses]]);
+  metric("cs2ct_chat_messages_total", "counter", "Chat lines seen, by team channel.",
+    Object.entries(metrics.chat).map(([team, n]) => [{ team }, n]));
+  metric("cs2ct_chat_detected_language_total", "counter",
+    "Incoming chat lines by source language, detected when a line is translated (auto-translate, tm_, _tl).",
+    Object.entries(metrics.detectedLanguages).map(([lang, n]) => [{ lang }, n]));
+  metric("cs2ct_commands_total", "counter", "In-game commands by outcome (run or denied).",
+    Object.entries(metrics.commands).flatMap(([command, c]) =>
+      Object.entries(c).map(([outcome, n]) => [{ command, outcome }, n])));
+  metric("cs2ct_chat_sends_total", "counter", "Messages that left the send queue, by result.",
+    Object.entries(metrics.sends).map(([status, n]) => [{ status }, n]));
+  metric("cs2ct_send_queue_depth", "gauge", "Messages waiting in the send queue.", [[{}, sendQueue.length]]);
+  metric("cs2ct_start_time_seconds", "gauge", "Unix time the translator started.", [[{}, Math.floor(METRICS_STARTED_AT / 1000)]]);
+  return out.join("\n") + "\n";
+}
+
+// -----------------------------------------------------------------------------
+// Translation providers
+// -----------------------------------------------------------------------------
+//
+// Every provider exposes `translate(text, { from, to })` and resolves to the
+// same shape google-translate-api-x returns ({ text, from.language.iso }), so
+// smartTranslate and the command handlers never care which one is active.
+
+const TRANSLATE_TIMEOUT_MS = 8000;
+
+function providerResult(text, iso) {
+  return { text, from: { language: { iso: (iso || "unknown").toLowerCase() } } };
+}
+
+function translatorEndpoint(fallback) {
+  return (TRANSLATOR_URL || fallback).replace(/\/+$/, "");
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TRANSLATE_TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => "")).slice(0, 200);
+    throw new Error(`HTTP ${res.status}${detail ? ` ${detail}` : ""}`);
+  }
+  return res.json();
+}
+
+// LibreTranslate and DeepL spell a few of our LANG_MAP codes differently.
+function libreLangCode(iso) {
+  if (iso === "zh_cn") return "zh";
+  if (iso === "zh_tw") return "zt";
+  return iso;
+}
+
+function deeplLangCode(iso) {
+  if (iso === "zh_cn" || iso === "zh") return "ZH-HANS";
+  if (iso === "zh_tw") return "ZH-HANT";
+  return iso.replace(/_/g, "-").toUpperCase();
+}
+
+const TRANSLATORS = {
+  google: {
+    label: "Google Translate (unofficial)",
+    async translate(text, { from, to }) {
+      const res = await translate(text, from ? { from, to } : { to });
+      return providerResult(res.text, res.from?.language?.iso);
+    }
+  },
+
+  libretranslate: {
+    label: "LibreTranslate",
+    defaultUrl: "http://127.0.0.1:5000",
+    async translate(text, { from, to }) {
+      const data = await postJson(`${translatorEndpoint(this.defaultUrl)}/translate`, {
+        q: text,
+        source: from ? libreLangCode(from) : "auto",
+        target: libreLangCode(to),
+        format: "text",
+        ...(TRANSLATOR_API_KEY ? { api_key: TRANSLATOR_API_KEY } : {})
+      });
+      return providerResult(
+        data.translatedText ?? text,
+        from || data.detectedLanguage?.language
+      );
+    }
+  },
+
+  // Works against DeepL itself and the many DeepL-compatible proxies; point
+  // translatorUrl at the proxy to use one of those instead.
+  deepl: {
+    label: "DeepL (or DeepL-compatible API)",
+    defaultUrl: "https://api-free.deepl.com",
+    async translate(text, { from, to }) {
+      const data = await postJson(
+        `${translatorEndpoint(this.defaultUrl)}/v2/translate`,
+        {
+          text: [text],
+          target_lang: deeplLangCode(to),
+          ...(from ? { source_lang: deeplLangCode(from).split("-")[0] } : {})
+        },
+        TRANSLATOR_API_KEY ? { Authorization: `DeepL-Auth-Key ${TRANSLATOR_API_KEY}` } : {}
+      );
+      const first = data.translations?.[0] || {};
+      return providerResult(first.text ?? text, from || first.detected_source_language);
+    }
+  },
+
+  // Deterministic, offline: tags the text with the target instead of
+  // translating it. Meant for tests and for running without any network.
+  stub: {
+    label: "Local stub (offline, no real translation)",
+    async translate(text, { from, to }) {
+      const src = from || scriptHint(text)?.lang || "en";
+      return providerResult(src === to ? text : `[${to}] ${text}`, src);
+    }
+  }
+};
+
+function activeTranslator() {
+  return TRANSLATORS[TRANSLATOR] ? TRANSLATOR : "google";
+}
+
+// -----------------------------------------------------------------------------
+// Translation cache (persisted under CONFIG_DIR)
+// -----------------------------------------------------------------------------
+//
+// The same handful of lines ("gg wp", "rush b", ...) show up all night, so
+// provider calls are cached by (provider, text, source, target). The Map is
+// kept in least-recently-used order: a hit moves the entry to the end and
+// trimming drops from the front.
+
+const translationCache = new Map();
+// Hit rate shown in the GUI, restarted by clearTranslationCache.
+const cacheStats = { hits: 0, misses: 0 };
+let cacheLoaded = false;
+let cacheDirty = false;
+let cacheFlushTimer = null;
+
+function cacheKey(provider, text, from, to) {
+  return JSON.stringify([provider, text, from || "auto", to]);
+}
+
+function cacheExpired(entry, now = Date.now()) {
+  return CACHE_TTL_HOURS > 0 && now - entry.at > CACHE_TTL_HOURS * 3600_000;
+}
+
+function loadTranslationCache() {
+  if (cacheLoaded) return;
+  cacheLoaded = true;
+  try {
+    if (!fs.existsSync(CACHE_PATH)) return;
+    const data = JSON.parse(fs.readFileSync(CACHE_PATH, "utf8"));
+    for (const [key, entry] of data.entries || []) translationCache.set(key, entry);
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Ignoring unreadable translation cache: ${err.message}`));
+  }
+}
+
+function pruneTranslationCache() {
+  const before = translationCache.size;
+  const now = Date.now();
+  for (const [key, entry] of translationCache) {
+    if (cacheExpired(entry, now)) translationCache.delete(key);
+  }
+  while (translationCache.size > CACHE_MAX_ENTRIES) {
+    translationCache.delete(translationCache.keys().next().value);
+  }
+  if (translationCache.size !== before) scheduleCacheFlush();
+}
+
+function flushTranslationCache() {
+  clearTimeout(cacheFlushTimer);
+  cacheFlushTimer = null;
+  if (!cacheDirty) return;
+  cacheDirty = false;
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(
+      CACHE_PATH,
+      JSON.stringify({ entries: Array.from(translationCache) }),
+      "utf8"
+    );
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Failed to write translation cache: ${err.message}`));
+  }
+}
+
+function scheduleCacheFlush() {
+  cacheDirty = true;
+  if (!cacheFlushTimer) cacheFlushTimer = setTimeout(flushTranslationCache, 2000);
+}
+
+process.on("exit", flushTranslationCache);
+
+async function cachedTranslate(provider, text, { from, to }) {
+  if (!CACHE_ENABLED || CACHE_MAX_ENTRIES === 0) {
+    return measuredTranslate(provider, text, { from, to });
+  }
+  const key = cacheKey(provider, text, from, to);
+  const hit = translationCache.get(key);
+  if (hit && !cacheExpired(hit)) {
+    cacheStats.hits++;
+    metrics.cache.hits++;
+    translationCache.delete(key);
+    translationCache.set(key, hit);
+    return providerResult(hit.text, hit.iso);
+  }
+  cacheStats.misses++;
+  metrics.cache.misses++;
+  const res = await measuredTranslate(provider, text, { from, to });
+  translationCache.delete(key);
+  translationCache.set(key, { text: res.text, iso: res.from.language.iso, at: Date.now() });
+  pruneTranslationCache();
+  scheduleCacheFlush();
+  return res;
+}
+
+function clearTranslationCache() {
+  translationCache.clear();
+  cacheStats.hits = 0;
+  cacheStats.misses = 0;
+  scheduleCacheFlush();
+  flushTranslationCache();
+}
+
+function cacheSnapshot() {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    enabled: CACHE_ENABLED,
+    entries: translationCache.size,
+    maxEntries: CACHE_MAX_ENTRIES,
+    ttlHours: CACHE_TTL_HOURS,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    hitRate: lookups ? cacheStats.hits / lookups : 0,
+    path: CACHE_PATH
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Gaming glossary (protects CS2 callouts from being "translated")
+// -----------------------------------------------------------------------------
+//
+// Each entry is keyed by its canonical (usually English) spelling and may list
+// the form players use per language. Every known form is swapped for a numbered
+// placeholder (⟦0⟧, ⟦1⟧, ...) before the text goes to the provider; afterwards
+// the placeholder becomes the target language's form, or the canonical term
+// when there is none. So "эко" reaches an English reader as "eco", and
+// "rush b" stays "rush b" instead of turning into nonsense.
+//
+// The user glossary (CONFIG_DIR/glossary.json) uses the same shape. Its
+// entries override built-ins with the same key; `null` removes a built-in.
+
+const BUILTIN_GLOSSARY = {
+  "gg": { ru: "гг" },
+  "gg wp": { ru: "гг вп" },
+  "wp": { ru: "вп" },
+  "glhf": {},
+  "gl hf": { ru: "гл хф" },
+  "ez": { ru: "изи" },
+  "nt": { ru: "нт" },
+  "ns": { ru: "нс" },
+  "eco": { ru: "эко" },
+  "force buy": { ru: "форс" },
+  "full buy": { ru: "фулл бай" },
+  "rush a": { ru: "раш а" },
+  "rush b": { ru: "раш б" },
+  "a site": { ru: "плент а" },
+  "b site": { ru: "плент б" },
+  "ct spawn": { ru: "кт спавн" },
+  "t spawn": { ru: "т спавн" },
+  "top mid": {},
+  "awp": { ru: "авп" },
+  "awper": { ru: "авпер" },
+  "ak": { ru: "калаш" },
+  "m4": {},
+  "deagle": { ru: "дигл" },
+  "smoke": { ru: "смок" },
+  "flash": { ru: "флешка" },
+  "molly": { ru: "молотов" },
+  "nade": {},
+  "defuse kit": { ru: "дефуза" },
+  "banana": { ru: "банан" },
+  "palace": {},
+  "apps": {},
+  "jungle": {},
+  "connector": {},
+  "heaven": {},
+  "catwalk": {},
+  "xbox": {}
+};
+
+// Built-ins whose English spelling is also an everyday word ("a site to
+// visit", "rush a bit later", "smoke"). That spelling is only protected when
+// the whole line is a callout (terms, single letters and numbers); their
+// other-language forms ("смок") are always protected.
+const CALLOUT_ONLY_TERMS = new Set([
+  "nt", "ns", "eco", "rush a", "a site", "ak", "smoke", "flash", "molly", "nade",
+  "banana", "palace", "apps", "jungle", "connector", "heaven", "catwalk"
+]);
+
+// Brackets nobody types in chat; stripped from incoming text so a message can
+// never contain a placeholder of its own.
+const GLOSSARY_MARK_OPEN = "⟦";
+const GLOSSARY_MARK_CLOSE = "⟧";
+const GLOSSARY_MARK_CHARS = /[⟦⟧]/g;
+const GLOSSARY_PLACEHOLDER = /⟦\s*(\d+)\s*⟧/g;
+
+let glossaryEntries = [];
+let userGlossary = {};
+
+function normalizeGlossary(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("glossary must be an object of term → { lang: form }");
+  }
+  for (const [term, forms] of Object.entries(raw)) {
+    const key = term.trim().toLowerCase();
+    if (!key) continue;
+    if (forms === null) { out[key] = null; continue; }
+    if (typeof forms !== "object" || Array.isArray(forms)) {
+      throw new Error(`glossary entry "${term}" must be an object or null`);
+    }
+    const clean = {};
+    for (const [lang, form] of Object.entries(forms)) {
+      if (typeof form === "string" && form.trim()) clean[lang.toLowerCase()] = form.trim();
+    }
+    out[key] = clean;
+  }
+  return out;
+}
+
+function rebuildGlossary() {
+  const merged = { ...BUILTIN_GLOSSARY, ...userGlossary };
+  const entries = [];
+  for (const [canonical, forms] of Object.entries(merged)) {
+    if (forms === null) continue;
+    const calloutOnly = !(canonical in userGlossary) && CALLOUT_ONLY_TERMS.has(canonical);
+    for (const [lang, form] of [["", canonical], ...Object.entries(forms)]) {
+      entries.push({ canonical, forms, lang, form, calloutOnly: calloutOnly && lang === "" });
+    }
+  }
+  // Longest first so "gg wp" wins over "gg".
+  entries.sort((a, b) => b.form.length - a.form.length);
+  glossaryEntries = entries.map((e) => ({
+    ...e,
+    regex: new RegExp(`(?<![\\p{L}\\p{N}])${escapeForRegex(e.form)}(?![\\p{L}\\p{N}])`, "giu")
+  }));
+}
+
+function loadGlossary() {
+  try {
+    userGlossary = fs.existsSync(GLOSSARY_PATH)
+      ? normalizeGlossary(JSON.parse(fs.readFileSync(GLOSSARY_PATH, "utf8") || "{}"))
+      : {};
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Ignoring invalid glossary ${GLOSSARY_PATH}: ${err.message}`));
+    userGlossary = {};
+  }
+  rebuildGlossary();
+}
+
+function saveGlossary(raw) {
+  const clean = normalizeGlossary(raw);
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(GLOSSARY_PATH, JSON.stringify(clean, null, 2), "utf8");
+  userGlossary = clean;
+  rebuildGlossary();
+  return clean;
+}
+
+function replaceGlossaryTerms(text, entries) {
+  const terms = [];
+  let out = text;
+  for (const e of entries) {
+    out = out.replace(e.regex, (matched) => {
+      terms.push({ ...e, matched });
+      return `${GLOSSARY_MARK_OPEN}${terms.length - 1}${GLOSSARY_MARK_CLOSE}`;
+    });
+  }
+  const words = out.replace(GLOSSARY_PLACEHOLDER, " ").split(/[\s\p{P}]+/u).filter(Boolean);
+  return {
+    text: out,
+    terms,
+    onlyTerms: terms.length > 0 && !words.length,
+    // Nothing but terms, single letters and numbers: "smoke a", "flash 2".
+    callout: terms.length > 0 && words.every((w) => /^(\p{L}|\p{N}+)$/u.test(w)),
+    lang: terms[0]?.lang || ""
+  };
+}
+
+/**
+ * Replaces glossary terms in `text` with ⟦0⟧, ⟦1⟧, ... placeholders.
+ * Returns { text, terms, onlyTerms, lang } where `lang` is the language of the
+ * first matched form ("" for canonical spellings).
+ */
+function protectGlossary(text) {
+  if (!GLOSSARY_ENABLED) return { text, terms: [], onlyTerms: false, lang: "" };
+  const clean = text.replace(GLOSSARY_MARK_CHARS, "");
+  const all = replaceGlossaryTerms(clean, glossaryEntries);
+  if (all.callout || !all.terms.some((t) => t.calloutOnly)) return all;
+  return replaceGlossaryTerms(clean, glossaryEntries.filter((e) => !e.calloutOnly));
+}
+
+function restoreGlossary(protectedText, terms, toLang) {
+  if (!terms.length) return protectedText;
+  return protectedText.replace(GLOSSARY_PLACEHOLDER, (whole, i) => {
+    const t = terms[Number(i)];
+    if (!t) return whole;
+    const target = t.forms[toLang];
+    if (target) return t.lang === toLang ? t.matched : target;
+    // No form for the target: keep canonical spellings as typed, map others back.
+    return t.lang === "" ? t.matched : t.canonical;
+  });
+}
+
+function glossarySnapshot() {
+  return { enabled: GLOSSARY_ENABLED, builtin: BUILTIN_GLOSSARY, user: userGlossary, path: GLOSSARY_PATH };
+}
+
 // -----------------------------------------------------------------------------
 // Translation logic
 // -----------------------------------------------------------------------------
 
-async function smartTranslate(text, toLang = "en") {
+// Glossary terms are protected around the actual translation; a message that
+// is nothing but glossary terms ("gg wp", "eco") never reaches the provider.
+async function smartTranslate(text, toLang = "en", { from } = {}) {
+  const g = protectGlossary(text);
+  if (g.onlyTerms) {
+    const iso = from || g.lang || "en";
+    return {
+      text: restoreGlossary(g.text, g.terms, toLang),
+      from: { language: { iso } },
+      __forcedFrom: from
+    };
+  }
+  const res = await translateDetected(g.text, toLang, { from });
+  res.text = restoreGlossary(res.text, g.terms, toLang);
+  return res;
+}
+
+// `from` skips detection entirely (e.g. a player rule forcing the source);
+// otherwise scriptHint may force or correct the provider's detection.
+async function translateDetected(text, toLang, { from } = {}) {
+  const provider = activeTranslator();
   try {
-    let res = await translate(text, { to: toLang });
-    const guess = (res.from?.language?.iso || "").toLowerCase();
-    const shouldForceRu =
-      PREFER_RU_FOR_CYRILLIC && CYRILLIC_REGEX.test(text) && guess !== "ru";
-    if (shouldForceRu) {
+    const hint = from ? null : scriptHint(text);
+    const forcedFrom = from || (hint?.force ? hint.lang : null);
+    if (forcedFrom) {
+      const forced = await cachedTranslate(provider, text, { from: forcedFrom, to: toLang });
+      forced.__forcedFrom = forcedFrom;
+      return forced;
+    }
+    let res = await cachedTranslate(provider, text, { to: toLang });
+    const guess = (res.from?.language?.iso || "").toLowerCase().replace(/-/g, "_");
+    if (hint && guess !== hint.lang) {
       try {
-        const forced = await translate(text, { from: "ru", to: toLang });
-        forced.__forcedFrom = "ru";
-        return forced;
+        const corrected = await cachedTranslate(provider, text, { from: hint.lang, to: toLang });
+        corrected.__forcedFrom = hint.lang;
+        return corrected;
       } catch { /* fall through */ }
     }
     return res;
   } catch (err) {
-    log(sym.warn, chalk.yellow(`Translation failed: ${err.message}`));
-    broadcast("error", { message: `Translation failed: ${err.message}` });
+    log(sym.warn, chalk.yellow(`Translation failed (${provider}): ${err.message}`));
+    broadcast("error", { message: `Translation failed (${provider}): ${err.message}` });
     return { text, from: { language: { iso: "unknown" } } };
   }
 }
 
+function originalLangIso(res) {
+  return (res.__forcedFrom || res.from?.language?.iso || "unknown").toLowerCase();
+}
+
 function originalLangReadable(res) {
-  const iso = (res.__forcedFrom || res.from?.language?.iso || "unknown").toLowerCase();
-  return langName(iso);
+  return langName(originalLangIso(res));
+}
+
+// -----------------------------------------------------------------------------
+// In-game command registry
+// -----------------------------------------------------------------------------
+
+// Every in-game command is reached through one or more triggers (config
+// "commands.<id>.triggers", matched case-insensitively at the start of a chat
+// line). A trigger that ends in a letter or digit ("_tl", "!t") must be
+// followed by a space or the end of the message; anything else ("tm_", ".")
+// may run straight into the argument. `parse` returns null when the rest of
+// the line does not fit, and the message is then treated as ordinary chat.
+const COMMANDS = {
+  tm: {
+    usage: "<lang> TEXT",
+    help: "translate TEXT to <lang> and send it",
+    example: "de hello friend",
+    parse(rest) {
+      const m = rest.match(/^([a-z_]{2,5})(?:\s+([\s\S]*))?$/i);
+      return m ? { lang: m[1].toLowerCase(), text: (m[2] || "").trim() } : null;
+    },
+    run: handleTm
+  },
+  tl: {
+    usage: "[N|@player|all] [lang]",
+    help: "translate a recent message to [lang] (default: the last one, to en)",
+    example: "3 fr",
+    parse(rest) {
+      let words = rest.split(/\s+/).filter(Boolean);
+      let pick = { index: 1 };
+      if (/^[1-9]\d?$/.test(words[0] || "")) pick = { index: Number(words.shift()) };
+      else if (/^@./.test(words[0] || "")) {
+        // Recent speakers first, so "@Big Dave de" picks "Big Dave".
+        const named = leadingName(words.join(" ").slice(1), recentMessages.map((m) => m.player));
+        if (named) {
+          pick = { player: named.name };
+          words = named.rest.split(/\s+/).filter(Boolean);
+        } else {
+          pick = { player: words.shift().slice(1) };
+        }
+      }
+      else if (words[0]?.toLowerCase() === "all") { words.shift(); pick = { all: true }; }
+      return { pick, target: (words[0] || "en").toLowerCase() };
+    },
+    run: handleTl
+  },
+  re: {
+    usage: "[player] TEXT",
+    help: "reply in the player's detected language (default: last speaker)",
+    example: "Ivan nice shot",
+    parse(rest) {
+      return { input: rest };
+    },
+    run: handleRe
+  },
+  code: {
+    usage: "<language>",
+    help: "look up a language code, e.g. 'For French use tm_fr'",
+    example: "french",
+    parse(rest) {
+      const query = rest.replace(/^_+/, "").trim();
+      return query ? { query } : null;
+    },
+    run: handleCodeLang
+  }
+};
+
+// A function for the same reason as defaultScriptPreferences().
+function defaultCommandSettings() {
+  return {
+    tm: { enabled: true, triggers: ["tm_"], allow: "auto" },
+    tl: { enabled: true, triggers: ["_tl"], allow: "auto" },
+    re: { enabled: true, triggers: ["_re"], allow: "auto" },
+    code: { enabled: true, triggers: ["code_", "code"], allow: "auto" }
+  };
+}
+
+// Unknown ids and malformed triggers are dropped and an empty trigger list
+// falls back to the defaults. A trigger can only belong to one command (the
+// first in registry order); a command left without any is disabled.
+function normalizeCommandSettings(raw) {
+  const out = defaultCommandSettings();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const id of Object.keys(out)) {
+    const entry = raw[id];
+    if (!entry || typeof entry !== "object") continue;
+    if (typeof entry.enabled === "boolean") out[id].enabled = entry.enabled;
+    if (ALLOW_SETTINGS.includes(entry.allow)) out[id].allow = entry.allow;
+    if (!Array.isArray(entry.triggers)) continue;
+    const triggers = entry.triggers
+      .map((t) => (typeof t === "string" ? t.trim() : ""))
+      .filter((t) => t && t.length <= 16 && !/\s/.test(t));
+    if (triggers.length) out[id].triggers = triggers;
+  }
+  const claimed = new Set();
+  for (const settings of Object.values(out)) {
+    settings.triggers = settings.triggers.filter((t) => {
+      const key = t.toLowerCase();
+      if (claimed.has(key)) return false;
+      claimed.add(key);
+      return true;
+    });
+    if (!settings.triggers.length) settings.enabled = false;
+  }
+  return out;
+}
+
+let COMMAND_SETTINGS = defaultCommandSettings();
+// Enabled triggers, longest first so ".tr" wins over ".".
+let COMMAND_TRIGGERS = [];
+
+function rebuildCommandTriggers() {
+  COMMAND_TRIGGERS = Object.entries(COMMAND_SETTINGS)
+    .filter(([, s]) => s.enabled)
+    .flatMap(([id, s]) => s.triggers.map((trigger) => ({ id, trigger: trigger.toLowerCase() })))
+    .sort((a, b) => b.trigger.length - a.trigger.length);
+}
+
+function matchCommand(message) {
+  const lower = message.toLowerCase();
+  for (const { id, trigger } of COMMAND_TRIGGERS) {
+    if (!lower.startsWith(trigger)) continue;
+    const rest = message.slice(trigger.length);
+    if (/[\p{L}\p{N}]$/u.test(trigger) && rest && !/^\s/.test(rest)) continue;
+    const args = COMMANDS[id].parse(rest.trim());
+    if (args) return { id, trigger, args };
+  }
+  return null;
+}
+
+// How a command is typed with its first trigger, e.g. commandHint("tm", "fr")
+// is "tm_fr" by default and "!t fr" with a "!t" trigger.
+function commandHint(id, arg = "", settings = COMMAND_SETTINGS) {
+  const trigger = settings[id].triggers[0] || defaultCommandSettings()[id].triggers[0];
+  if (!arg) return trigger;
+  return /[\p{L}\p{N}]$/u.test(trigger) ? `${trigger} ${arg}` : `${trigger}${arg}`;
+}
+
+function commandsSnapshot(settings = COMMAND_SETTINGS, hasOwners = OWNERS.size > 0) {
+  return Object.entries(COMMANDS).map(([id, c]) => ({
+    id,
+    enabled: settings[id].enabled,
+    triggers: settings[id].triggers,
+    allow: settings[id].allow,
+    effectiveAllow: effectiveAllow(settings[id].allow, hasOwners),
+    usage: commandHint(id, c.usage, settings),
+    help: c.help,
+    example: commandHint(id, c.example, settings)
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// Command permissions and per-sender cooldown
+// -----------------------------------------------------------------------------
+
+// Who may run a command (config "commands.<id>.allow"). Owners are your own
+// player names (config "owners") and count as friends too. Every command makes
+// your client send chat, so the default "auto" keeps them to friends as soon
+// as owners are set, and open to everyone until then.
+const ALLOW_LEVELS = ["everyone", "friends", "owner"];
+const ALLOW_SETTINGS = ["auto", ...ALLOW_LEVELS];
+
+function effectiveAllow(allow, hasOwners = OWNERS.size > 0) {
+  if (allow !== "auto") return allow;
+  return hasOwners ? "friends" : "everyone";
+}
+
+let OWNERS = new Set();
+let FRIENDS = new Set();
+let COMMAND_COOLDOWN_SEC = 3;
+
+// Lowercased player name → time of the last command that was run.
+const lastCommandAt = new Map();
+
+function normalizeNameList(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  return raw
+    .map((n) => (typeof n === "string" ? n.trim() : ""))
+    .filter((n) => n && !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+}
+
+function senderLevel(sender) {
+  const key = String(sender || "").toLowerCase();
+  if (OWNERS.has(key)) return "owner";
+  if (FRIENDS.has(key)) return "friends";
+  return "everyone";
+}
+
+// Checked before a command runs, so a refused command never reaches the send
+// queue. Owners skip the cooldown; for everyone else only commands that were
+// allowed to run start it.
+function commandPermitted(id, sender) {
+  const allow = effectiveAllow(COMMAND_SETTINGS[id].allow);
+  const level = senderLevel(sender);
+  let reason = null;
+  if (ALLOW_LEVELS.indexOf(level) < ALLOW_LEVELS.indexOf(allow)) {
+    reason = allow === "friends" ? "friends only" : OWNERS.size ? "owner only" : "owner only, no owners set";
+  } else if (level !== "owner" && COMMAND_COOLDOWN_SEC > 0) {
+    const key = sender.toLowerCase();
+    const wait = (lastCommandAt.get(key) || 0) + COMMAND_COOLDOWN_SEC * 1000 - Date.now();
+    if (wait > 0) reason = `cooldown, ${Math.ceil(wait / 1000)}s left`;
+    else lastCommandAt.set(key, Date.now());
+  }
+  countCommand(id, reason ? "denied" : "run");
+  if (!reason) return true;
+
+  log(sym.warn, chalk.gray(`Ignored ${commandHint(id)} from ${sender} (${reason})`));
+  broadcast("command", { kind: "denied", command: id, sender, reason });
+  return false;
+}
+
+// -----------------------------------------------------------------------------
+// Reply templates
+// -----------------------------------------------------------------------------
+
+// What the commands write to chat (config "templates"). Placeholders in
+// braces are filled per command; unknown ones are left as typed. An empty
+// template sends nothing, the result still shows up in the console and GUI.
+function defaultTemplates() {
+  return {
+    tm: "{sender} said - {translated} - (from {from})",
+    tl: "{sender} said - {translated} - (from {from})",
+    tlAll: "{sender}: {translated}",
+    re: "{translated}",
+    code: "For {language} use {command}",
+    codeMiss: 'No close language match for "{query}". Try {suggestions}...'
+  };
+}
+
+function normalizeTemplates(raw) {
+  const out = defaultTemplates();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const name of Object.keys(out)) {
+    if (typeof raw[name] === "string") out[name] = raw[name].trim();
+  }
+  return out;
+}
+
+let TEMPLATES = defaultTemplates();
+
+function renderTemplate(name, vars) {
+  return TEMPLATES[name]
+    .replace(/\{(\w+)\}/g, (m, key) => (vars[key] !== undefined ? String(vars[key]) : m))
+    .trim();
+}
+
+// Renders and queues a reply; returns the rendered text ("" when suppressed).
+function sendTemplate(name, vars, team) {
+  const message = renderTemplate(name, vars);
+  if (message) enqueueChat({ message, team });
+  else log(sym.info, chalk.gray(`(template "${name}" is empty, nothing sent)`));
+  return message;
 }
 
 // -----------------------------------------------------------------------------
@@ -361,107 +2043,319 @@ function bestLangMatch(query) {
   return best && best.score >= 55 ? best : null;
 }
 
-function handleCodeLang({ isTeam, message }) {
-  const m = message.match(/^code[_\s]+(.+)$/i);
-  if (!m) return false;
-  const query = m[1].trim();
-  if (!query) return true;
-
+function handleCodeLang({ isTeam, query }) {
   const match = bestLangMatch(query);
   if (match) {
-    const reply = `For ${match.name} use tm_${match.code}`;
-    writeChatCfg({ message: reply, team: isTeam });
-    setTimeout(pressBindKey, 150);
-    log(sym.info, chalk.cyan(`code → ${reply} (score ${match.score})`));
+    const reply = sendTemplate("code", {
+      language: match.name, code: match.code, command: commandHint("tm", match.code), query
+    }, isTeam);
+    log(sym.info, chalk.cyan(`code → ${match.name} (${match.code}, score ${match.score})`));
     broadcast("command", { kind: "code", query, reply, score: match.score });
   } else {
-    const reply =
-      `No close language match for "${query}". Try tm_en, tm_de, tm_fr, tm_es, tm_ru, tm_pt...`;
-    writeChatCfg({ message: reply, team: isTeam });
-    setTimeout(pressBindKey, 150);
-    log(sym.warn, chalk.yellow(reply));
+    const suggestions = ["en", "de", "fr", "es", "ru", "pt"]
+      .map((code) => commandHint("tm", code))
+      .join(", ");
+    const reply = sendTemplate("codeMiss", { query, suggestions }, isTeam);
+    log(sym.warn, chalk.yellow(`code → no close language match for "${query}"`));
     broadcast("command", { kind: "code", query, reply, score: 0 });
   }
-  return true;
 }
 
 // -----------------------------------------------------------------------------
-// Commands: tm_ and _tl
+// Commands: tm_ and _tl (see the registry above for triggers)
 // -----------------------------------------------------------------------------
 
-let lastForeignMsg = null;
+// Recent non-command chat, oldest first, for _tl N / _tl @player / _tl all.
+const RECENT_MAX = 20;
+const TL_ALL_COUNT = 4;
+const recentMessages = [];
+
+function rememberMessage(entry) {
+  recentMessages.push(entry);
+  if (recentMessages.length > RECENT_MAX) recentMessages.shift();
+}
+
+function lastMessage() {
+  return recentMessages[recentMessages.length - 1] || null;
+}
+
+// `text` starting with one of `names` (case-insensitive, followed by a space or
+// the end), longest name first since names may contain spaces. Returns
+// { name, rest } or null.
+function leadingName(text, names) {
+  const lower = text.toLowerCase();
+  const sorted = Array.from(new Set(names)).sort((a, b) => b.length - a.length);
+  for (const name of sorted) {
+    const n = name.toLowerCase();
+    if (!n || !lower.startsWith(n)) continue;
+    if (lower.length === n.length || /\s/.test(lower[n.length])) {
+      return { name, rest: text.slice(name.length).trim() };
+    }
+  }
+  return null;
+}
+
+// { index: N } is the N-th last message; { player } is that player's latest
+// message, by exact name or else a prefix shared by only one recent speaker.
+function pickRecentMessage(pick) {
+  if (pick.index) return recentMessages[recentMessages.length - pick.index] || null;
+  const q = pick.player.toLowerCase();
+  const newest = recentMessages.slice().reverse();
+  const exact = newest.find((m) => m.player.toLowerCase() === q);
+  if (exact) return exact;
+  const prefixed = newest.filter((m) => m.player.toLowerCase().startsWith(q));
+  const names = new Set(prefixed.map((m) => m.player));
+  return names.size === 1 ? prefixed[0] : null;
+}
+
+async function handleTm({ isTeam, sender, lang, text }) {
+  if (!text) return;
+
+  const res = await smartTranslate(text, lang);
+  const translated = res.text;
+  const originalLang = originalLangReadable(res);
+  noteMessageLang({ player: sender }, originalLangIso(res));
+
+  sendTemplate("tm", {
+    sender, translated, original: text, from: originalLang,
+    fromIso: originalLangIso(res), target: lang
+  }, isTeam);
+
+  log(sym.trans, chalk.blueBright(`${commandHint("tm", lang)} → queued for chat`));
+  logKV("from", originalLang);
+  logKV("text", translated);
+  broadcast("command", {
+    kind: "tm", target: lang, from: originalLang, fromIso: originalLangIso(res),
+    sender, original: text, translated
+  });
+}
+
+// "#3" for the third-last message, "@Name" for a player's last one.
+function describePick(pick, msg) {
+  return pick.player ? `@${msg.player}` : `#${pick.index}`;
+}
+
+async function handleTl({ isTeam, pick, target }) {
+  if (pick.all) {
+    await handleTlAll({ isTeam, target });
+    return;
+  }
 
-async function handleTm({ isTeam, sender, message }) {
-  if (!/^tm_[a-z_]{2,5}\b/i.test(message)) return false;
-  const [cmd, ...rest] = message.split(" ");
-  const lang = cmd.slice(3).toLowerCase();
-  const text = rest.join(" ").trim();
-  if (!text) return true;
+  const picked = pickRecentMessage(pick);
+  if (!picked) {
+    let msg = "No recent message to translate.";
+    if (recentMessages.length && pick.player) msg = `No recent message from ${pick.player}.`;
+    else if (recentMessages.length) msg = `Only ${recentMessages.length} recent message(s) to pick from.`;
+    enqueueChat({ message: msg, team: isTeam });
+    log(sym.warn, chalk.yellow(msg));
+    broadcast("command", { kind: "tl", status: "no-last", reply: msg });
+    return;
+  }
 
-  const res = await smartTranslate(text, lang);
+  const res = await smartTranslate(picked.message, target, {
+    from: playerRule(picked.player).sourceLang
+  });
   const translated = res.text;
   const originalLang = originalLangReadable(res);
+  sendTemplate("tl", {
+    sender: picked.player, translated, original: picked.message, from: originalLang,
+    fromIso: originalLangIso(res), target
+  }, isTeam);
 
-  const output = `${sender} said - ${translated} - (from ${originalLang})`;
-  writeChatCfg({ message: output, team: isTeam });
-  setTimeout(pressBindKey, 150);
+  noteMessageLang(picked, originalLangIso(res));
 
-  log(sym.trans, chalk.blueBright(`tm_${lang} → sent to chat`));
+  const label = describePick(pick, picked);
+  log(sym.trans, chalk.blueBright(`_tl ${label} → ${target}`));
   logKV("from", originalLang);
+  logKV("player", picked.player);
   logKV("text", translated);
   broadcast("command", {
-    kind: "tm", target: lang, from: originalLang,
-    sender, original: text, translated
+    kind: "tl", target, pick: label, from: originalLang, fromIso: originalLangIso(res),
+    sender: picked.player, original: picked.message, translated
   });
-  return true;
 }
 
-async function handleTl({ isTeam, message }) {
-  if (!/^_tl\b/i.test(message)) return false;
-
-  if (!lastForeignMsg) {
+// _tl all: the last few messages, each translated on its own (so the
+// provider detects every language separately) and joined into one line.
+async function handleTlAll({ isTeam, target }) {
+  const picked = recentMessages.slice(-TL_ALL_COUNT);
+  if (!picked.length) {
     const msg = "No recent message to translate.";
-    writeChatCfg({ message: msg, team: isTeam });
-    setTimeout(pressBindKey, 150);
+    enqueueChat({ message: msg, team: isTeam });
     log(sym.warn, chalk.yellow(msg));
     broadcast("command", { kind: "tl", status: "no-last", reply: msg });
-    return true;
+    return;
   }
 
-  const parts = message.split(" ");
-  const target = parts[1]?.toLowerCase() || "en";
+  const items = [];
+  for (const m of picked) {
+    const res = await smartTranslate(m.message, target, { from: playerRule(m.player).sourceLang });
+    noteMessageLang(m, originalLangIso(res));
+    items.push({
+      sender: m.player, original: m.message, translated: res.text,
+      from: originalLangReadable(res), fromIso: originalLangIso(res)
+    });
+  }
+  const parts = items.map((i) => renderTemplate("tlAll", { ...i, target })).filter(Boolean);
+  const summary = parts.join(" | ");
+  // Several chat lines when the whole summary does not fit into one.
+  for (const message of packChatLines(parts, " | ")) enqueueChat({ message, team: isTeam });
+  if (!parts.length) log(sym.info, chalk.gray('(template "tlAll" is empty, nothing sent)'));
+
+  log(sym.trans, chalk.blueBright(`_tl all → ${target} (${items.length} messages)`));
+  logKV("text", summary);
+  broadcast("command", { kind: "tl", target, pick: "all", items, translated: summary });
+}
 
-  const res = await smartTranslate(lastForeignMsg.message, target);
-  const translated = res.text;
-  const originalLang = originalLangReadable(res);
-  const output = `${lastForeignMsg.player} said - ${translated} - (from ${originalLang})`;
+// -----------------------------------------------------------------------------
+// Per-player rules (mute, skip auto-translate, ignore commands, force source)
+// -----------------------------------------------------------------------------
 
-  writeChatCfg({ message: output, team: isTeam });
-  setTimeout(pressBindKey, 150);
+function applyPlayerRules(rules) {
+  PLAYER_RULES = new Map(
+    Object.entries(rules || {}).map(([name, rule]) => [name.toLowerCase(), { name, ...rule }])
+  );
+}
 
-  log(sym.trans, chalk.blueBright(`_tl → ${target}`));
-  logKV("from", originalLang);
-  logKV("player", lastForeignMsg.player);
-  logKV("text", translated);
+function playerRule(player) {
+  return PLAYER_RULES.get(String(player || "").toLowerCase()) || {};
+}
+
+// Sets (replaces) or, with an empty/null rule, removes one player's rule and
+// persists it. Returns the saved rule set.
+function setPlayerRule(player, rule) {
+  const name = String(player || "").trim();
+  if (!name) throw new Error("player name is required");
+  const cfg = loadConfig();
+  const rules = { ...cfg.playerRules };
+  const existing = Object.keys(rules).find((n) => n.toLowerCase() === name.toLowerCase());
+  if (existing) delete rules[existing];
+  if (rule) rules[existing || name] = rule;
+  const saved = saveConfig({ ...cfg, playerRules: rules });
+  applyPlayerRules(saved.playerRules);
+  broadcast("rules", { playerRules: saved.playerRules });
+  return saved.playerRules;
+}
+
+// -----------------------------------------------------------------------------
+// Per-player languages and _re (reply in the speaker's language)
+// -----------------------------------------------------------------------------
+
+// Last detected language per player, fed by auto-translate, tm_ and _tl results.
+const playerLangs = new Map();
+
+function recordPlayerLang(player, iso) {
+  if (!player || !iso || iso === "unknown") return;
+  playerLangs.set(player, { iso, at: Date.now() });
+}
+
+// Detected language of one incoming line ({ player, message } as kept for
+// _tl): remembered for _re and counted once per line in the metrics, even
+// when auto-translate and a later _tl both translate it.
+function noteMessageLang(entry, iso) {
+  recordPlayerLang(entry.player, iso);
+  if (entry.lang || !iso) return;
+  entry.lang = iso;
+  bump(metrics.detectedLanguages, iso);
+}
+
+// The player named at the start of `input` and the text after the name:
+// an exact (case-insensitive) name, spaces included, or with "@" also a unique
+// one-word name prefix, among players with a known language or a remembered
+// recent line.
+function findKnownPlayer(input) {
+  const explicit = input.startsWith("@");
+  const body = explicit ? input.slice(1) : input;
+  const names = [...playerLangs.keys(), ...recentMessages.map((m) => m.player)];
+  const named = leadingName(body, names);
+  if (named) return { player: named.name, rest: named.rest };
+  const [first = "", ...rest] = body.split(" ");
+  if (!explicit || !first) return null;
+  const q = first.toLowerCase();
+  const prefixed = Array.from(new Set(names)).filter((n) => n.toLowerCase().startsWith(q));
+  return prefixed.length === 1 ? { player: prefixed[0], rest: rest.join(" ").trim() } : null;
+}
+
+// Language to answer `player` in: the recorded one, or else detected now from
+// their latest remembered line, which nothing translated while auto-translate
+// is off.
+async function resolvePlayerLang(player) {
+  const known = playerLangs.get(player);
+  if (known) return known.iso;
+  const entry = recentMessages.findLast((m) => m.player === player);
+  if (!entry) return null;
+  const res = await smartTranslate(entry.message, AUTO_TRANSLATE_TARGET, { from: playerRule(player).sourceLang });
+  noteMessageLang(entry, originalLangIso(res));
+  return playerLangs.get(player)?.iso || null;
+}
+
+function playerLangsSnapshot() {
+  return Array.from(playerLangs, ([name, { iso, at }]) => ({
+    name, lang: iso, langName: langName(iso), at
+  }));
+}
+
+/**
+ * _re [player] TEXT
+ * Translates TEXT into the language last detected for `player` (bare name,
+ * which may contain spaces, or @prefix), or for the last speaker when no known player is named, and sends
+ * it to the channel the command was typed in. A player whose language is not
+ * known yet is detected from their latest remembered line.
+ */
+async function handleRe({ isTeam, sender, input }) {
+  const found = findKnownPlayer(input);
+  let player = found?.player || null;
+  const text = found ? found.rest : input.trim();
+  if (!player && input.startsWith("@")) {
+    const msg = `No known language for ${input.slice(1).split(" ")[0]}.`;
+    enqueueChat({ message: msg, team: isTeam });
+    log(sym.warn, chalk.yellow(msg));
+    broadcast("command", { kind: "re", status: "unknown-player", reply: msg });
+    return;
+  }
+  if (!player) player = lastMessage()?.player || null;
+  if (!text) return;
+
+  const target = player ? await resolvePlayerLang(player) : null;
+  if (!target) {
+    const msg = player
+      ? `No known language for ${player} yet.`
+      : "No recent speaker to reply to.";
+    enqueueChat({ message: msg, team: isTeam });
+    log(sym.warn, chalk.yellow(msg));
+    broadcast("command", { kind: "re", status: "no-lang", reply: msg });
+    return;
+  }
+
+  const res = await smartTranslate(text, target);
+  sendTemplate("re", {
+    player, sender, translated: res.text, original: text,
+    from: originalLangReadable(res), fromIso: originalLangIso(res), target
+  }, isTeam);
+
+  log(sym.trans, chalk.blueBright(`_re → ${player} (${langName(target)})`));
+  logKV("text", res.text);
   broadcast("command", {
-    kind: "tl", target, from: originalLang,
-    sender: lastForeignMsg.player, original: lastForeignMsg.message, translated
+    kind: "re", target, player, from: originalLangReadable(res),
+    fromIso: originalLangIso(res), original: text, translated: res.text
   });
-  return true;
 }
 
 // -----------------------------------------------------------------------------
 // Auto-translate to console (and now also to the GUI feed)
 // -----------------------------------------------------------------------------
 
-async function autoTranslateToConsole({ team, sender, message }) {
+async function autoTranslateToConsole({ team, sender, message, entry }) {
   if (!AUTO_TRANSLATE) return;
   if (!message) return;
-  if (/^(_tl\b|tm_[a-z_]{2,5}\b|code[_\s])/i.test(message)) return;
+  if (matchCommand(message)) return;
   if (/^[.\s]+$/.test(message)) return;
+  const rule = playerRule(sender);
+  if (rule.mute || rule.noAuto) return;
 
-  const res = await smartTranslate(message, AUTO_TRANSLATE_TARGET);
-  const fromIso = (res.__forcedFrom || res.from?.language?.iso || "unknown").toLowerCase();
+  const res = await smartTranslate(message, AUTO_TRANSLATE_TARGET, { from: rule.sourceLang });
+  const fromIso = originalLangIso(res);
+  noteMessageLang(entry || { player: sender }, fromIso);
 
   if (fromIso !== AUTO_TRANSLATE_TARGET.toLowerCase()) {
     const readableLang = langName(fromIso);
@@ -502,6 +2396,10 @@ async function handleLine(line) {
   const message = (messageRaw || "").trim();
   const sender = (player || "").trim();
   const isTeam = team === "CT" || team === "T";
+  const rule = playerRule(sender);
+
+  // Muted players are dropped entirely: not shown, not kept for _tl, not translated.
+  if (rule.mute) return;
 
   log(
     sym.chat,
@@ -511,19 +2409,57 @@ async function handleLine(line) {
       chalk.white(message)
   );
   broadcast("chat", { team, sender, message, rawTag: matchedTag });
+  bump(metrics.chat, team);
 
-  if (
-    !/^tm_[a-z_]{2,5}\b|^_tl\b|^code[_\s]/i.test(message) &&
-    !/^[.\s]+$/.test(message)
-  ) {
-    lastForeignMsg = { player: sender, message, team };
+  const command = matchCommand(message);
+  const entry = !command && !/^[.\s]+$/.test(message) ? { player: sender, message, team } : null;
+  if (entry) rememberMessage(entry);
+
+  // Players with ignoreCommands fall through to auto-translate, which skips
+  // command-shaped lines, so their commands are neither run nor translated.
+  if (command && !rule.ignoreCommands) {
+    if (commandPermitted(command.id, sender)) {
+      await COMMANDS[command.id].run({ isTeam, sender, ...command.args });
+    }
+    return;
   }
 
-  if (await handleTl({ isTeam, message })) return;
-  if (handleCodeLang({ isTeam, message })) return;
-  if (await handleTm({ isTeam, sender, message })) return;
+  await autoTranslateToConsole({ team, sender, message, entry });
+}
+
+// -----------------------------------------------------------------------------
+// Compose from the web GUI (translate + send without typing tm_ in game)
+// -----------------------------------------------------------------------------
+
+const CHAT_CHANNELS = { say: false, say_team: true };
+
+// Empty target means "send as typed". Otherwise the same code rules as tm_.
+async function composeTranslation({ text, target }) {
+  const clean = String(text || "").trim();
+  if (!clean) throw new Error("text is required");
+  const lang = String(target || "").trim().toLowerCase();
+  if (!lang) return { text: clean, translated: clean, target: "", fromIso: "", fromName: "" };
+  if (!/^[a-z_]{2,5}$/.test(lang)) throw new Error(`invalid target language: ${target}`);
+
+  const res = await smartTranslate(clean, lang);
+  const fromIso = originalLangIso(res);
+  return { text: clean, translated: res.text, target: lang, fromIso, fromName: langName(fromIso) };
+}
+
+async function sendFromGui({ text, target, channel = "say" }) {
+  if (!(channel in CHAT_CHANNELS)) throw new Error(`invalid channel: ${channel}`);
+  const preview = await composeTranslation({ text, target });
+  const team = CHAT_CHANNELS[channel];
+
+  const queued = enqueueChat({ message: preview.translated, team });
 
-  await autoTranslateToConsole({ team, sender, message });
+  log(sym.trans, chalk.blueBright(`GUI → ${channel}${preview.target ? ` (${preview.target})` : ""}`));
+  logKV("text", preview.translated);
+  broadcast("command", {
+    kind: "send", channel, target: preview.target, from: preview.fromName,
+    original: preview.text, translated: preview.translated
+  });
+  return { ...preview, channel, queueId: queued.id, status: queued.status };
 }
 
 // -----------------------------------------------------------------------------
@@ -531,11 +2467,84 @@ async function handleLine(line) {
 // -----------------------------------------------------------------------------
 
 let currentlyWatching = null;
+// cfg directory checked when the current watch started.
+let watchedCfgDir = null;
+
+// Tail state for the watched file. We track our own byte offset and inode
+// rather than trusting watchFile's prev/curr pair, so a truncated (CS2
+// restart) or replaced console.log is picked up from the start, and a line
+// that is still being written is held back until its newline arrives. The
+// StringDecoder keeps multibyte UTF-8 characters intact across reads.
+//
+// CS2 truncates console.log in place (same inode), and the new session can
+// outgrow the old offset before the next poll, so the size alone misses it.
+// The first bytes of the file are kept as well: its lines start with a
+// timestamp, so a new session changes them.
+let tail = null;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+const TAIL_HEAD_BYTES = 256;
+
+function resetTail(ino) {
+  tail.ino = ino;
+  tail.offset = 0;
+  tail.head = null;
+  tail.partial = "";
+  tail.decoder = new StringDecoder("utf8");
+}
+
+function readHead(fd, length) {
+  const head = Buffer.alloc(Math.min(TAIL_HEAD_BYTES, length));
+  const n = fs.readSync(fd, head, 0, head.length, 0);
+  return head.subarray(0, n);
+}
+
+function emitLine(line) {
+  Promise.resolve(handleLine(line)).catch((err) => {
+    console.error(chalk.red("Line handling error:"), err);
+    broadcast("error", { message: `Line handling: ${err.message}` });
+  });
+}
+
+function readTail(curr) {
+  if (!curr.nlink && !curr.size && !curr.ino) return; // file gone; wait for it to come back
+
+  if (curr.ino !== tail.ino) {
+    log(sym.info, chalk.cyan("console.log was replaced, reading the new file from the start"));
+    resetTail(curr.ino);
+  } else if (curr.size < tail.offset) {
+    log(sym.info, chalk.cyan("console.log was truncated, reading from the start"));
+    resetTail(curr.ino);
+  }
+
+  let fd;
+  try {
+    fd = fs.openSync(LOG_PATH, "r");
+    if (tail.head?.length && !readHead(fd, tail.head.length).equals(tail.head)) {
+      log(sym.info, chalk.cyan("console.log was truncated and rewritten, reading from the start"));
+      resetTail(curr.ino);
+    }
+    if (curr.size === tail.offset) return;
+    const buf = Buffer.alloc(TAIL_CHUNK_BYTES);
+    let bytes;
+    while ((bytes = fs.readSync(fd, buf, 0, buf.length, tail.offset)) > 0) {
+      tail.offset += bytes;
+      const lines = (tail.partial + tail.decoder.write(buf.subarray(0, bytes))).split("\n");
+      tail.partial = lines.pop();
+      for (const line of lines) emitLine(line.replace(/\r$/, ""));
+    }
+    if (!tail.head || tail.head.length < TAIL_HEAD_BYTES) tail.head = readHead(fd, tail.offset);
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Reading console.log failed: ${err.message}`));
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
 
 function stopWatching() {
   if (currentlyWatching) {
     fs.unwatchFile(currentlyWatching);
     currentlyWatching = null;
+    tail = null;
   }
 }
 
@@ -559,49 +2568,391 @@ function startWatching() {
   }
 
   currentlyWatching = LOG_PATH;
-  fs.watchFile(LOG_PATH, { interval: 500 }, (curr, prev) => {
-    if (curr.size <= prev.size) return;
-    const stream = fs.createReadStream(LOG_PATH, {
-      start: prev.size, end: curr.size, encoding: "utf8"
-    });
-    const rl = readline.createInterface({ input: stream });
-    rl.on("line", (line) => {
-      Promise.resolve(handleLine(line)).catch((err) => {
-        console.error(chalk.red("Line handling error:"), err);
-        broadcast("error", { message: `Line handling: ${err.message}` });
-      });
-    });
-  });
+  watchedCfgDir = CSGO_CFG_DIR;
+  // Start at the current end: only chat written from now on is handled.
+  const st = fs.statSync(LOG_PATH);
+  tail = {};
+  resetTail(st.ino);
+  tail.offset = st.size;
+  const fd = fs.openSync(LOG_PATH, "r");
+  try {
+    tail.head = readHead(fd, st.size);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.watchFile(LOG_PATH, { interval: 500 }, (curr) => readTail(curr));
   broadcast("status", { watching: true, logPath: LOG_PATH });
   return true;
 }
 
+// After a settings change. A restart tails console.log from its end again and
+// drops chat written in between, so the running watch is kept unless logPath
+// or cfgDir changed.
+function restartWatchingIfMoved() {
+  if (currentlyWatching === LOG_PATH && watchedCfgDir === CSGO_CFG_DIR) return;
+  startWatching();
+}
+
+// -----------------------------------------------------------------------------
+// Config hot reload (hand edits, NixOS tmpfiles, other tools)
+// -----------------------------------------------------------------------------
+
+// Text of the last config.json this process wrote itself, so our own saves
+// (already applied by the caller) do not trigger a second reload.
+let lastWrittenConfig = null;
+// Settings in use (set by setupFromConfig) and whether config.json currently
+// holds an edit that reloadConfigFromDisk rejected.
+let lastGoodConfig = null;
+let configRejected = false;
+
+function reloadConfigFromDisk() {
+  let txt;
+  try {
+    txt = fs.readFileSync(CONFIG_PATH, "utf8");
+  } catch {
+    log(sym.warn, chalk.yellow("config.json was removed, keeping the current settings"));
+    return;
+  }
+  if (txt === lastWrittenConfig) return;
+
+  let problem = null;
+  try {
+    const raw = JSON.parse(txt);
+    const { errors } = validateConfig(migrateConfig(raw));
+    const invalid = Object.entries(errors).filter(([, msg]) => msg !== "unknown setting");
+    if (invalid.length) problem = configErrorMessage(Object.fromEntries(invalid));
+  } catch (err) {
+    problem = `not valid JSON (${err.message})`;
+  }
+  if (problem) {
+    const message = `config.json change rejected, keeping the last good config: ${problem}`;
+    log(sym.err, chalk.red(message));
+    broadcast("error", { message });
+    configRejected = true;
+    return;
+  }
+
+  configRejected = false;
+  setupFromConfig();
+  if (!replayState) restartWatchingIfMoved();
+  log(sym.ok, chalk.green("config.json changed on disk, reloaded"));
+  broadcast("config", { reloaded: true });
+  broadcast("status", statusSnapshot());
+}
+
+function watchConfigFile() {
+  fs.watchFile(CONFIG_PATH, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    reloadConfigFromDisk();
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Replay mode: feed a recorded console.log through handleLine
+// -----------------------------------------------------------------------------
+
+// CS2 prefixes console.log lines with "MM/DD HH:MM:SS"; when present we use it
+// to reproduce the original pacing between chat lines.
+const REPLAY_TIME_REGEX = /^(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})/;
+const REPLAY_DEFAULT_GAP_MS = 1000;
+const REPLAY_MAX_GAP_MS = 5000;
+
+let replayState = null;
+
+function replayTimestamp(line) {
+  const m = line.match(REPLAY_TIME_REGEX);
+  if (!m) return null;
+  const [, mon, day, h, min, sec] = m.map(Number);
+  return new Date(2000, mon - 1, day, h, min, sec).getTime();
+}
+
+async function replayLog(file, { speed = 1 } = {}) {
+  replayState = { file, speed, lines: 0, chatLines: 0, done: false };
+  broadcast("status", statusSnapshot());
+  log(sym.start, chalk.bold(`Replaying ${file} (speed ${speed || "max"}${SEND_CHAT ? "" : ", no-send"})`));
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: "utf8" }),
+    crlfDelay: Infinity
+  });
+  let prevTs = null;
+  for await (const line of rl) {
+    replayState.lines++;
+    if (!TAG_REGEX || !TAG_REGEX.test(line)) continue;
+
+    const ts = replayTimestamp(line);
+    if (speed > 0 && replayState.chatLines > 0) {
+      const gap = ts !== null && prevTs !== null && ts >= prevTs
+        ? ts - prevTs
+        : REPLAY_DEFAULT_GAP_MS;
+      await sleep(Math.min(gap / speed, REPLAY_MAX_GAP_MS));
+    }
+    prevTs = ts;
+    replayState.chatLines++;
+
+    try {
+      await handleLine(line);
+    } catch (err) {
+      console.error(chalk.red("Line handling error:"), err);
+      broadcast("error", { message: `Line handling: ${err.message}` });
+    }
+  }
+
+  replayState.done = true;
+  log(sym.ok, chalk.green(`Replay finished: ${replayState.chatLines} chat lines of ${replayState.lines}`));
+  broadcast("status", statusSnapshot());
+}
+
 function statusSnapshot() {
   return {
     watching: !!currentlyWatching,
+    replay: replayState,
+    sendChat: SEND_CHAT,
     logPath: LOG_PATH,
     cfgDir: CSGO_CFG_DIR,
     bindKey: BIND_KEY,
+    keyInjector: KEY_INJECTOR,
     autoTranslate: AUTO_TRANSLATE,
     autoTranslateTarget: AUTO_TRANSLATE_TARGET,
     tagCT: TAG_CT,
     tagT: TAG_T,
     tagAll: TAG_ALL,
+    translator: TRANSLATOR,
     logExists: LOG_PATH ? fs.existsSync(LOG_PATH) : false,
     cfgDirExists: CSGO_CFG_DIR ? fs.existsSync(CSGO_CFG_DIR) : false,
     configPath: CONFIG_PATH
   };
 }
 
+// -----------------------------------------------------------------------------
+// Doctor: setup diagnostics (--doctor and the GUI panel)
+// -----------------------------------------------------------------------------
+
+// A log untouched for longer than this is probably not the one CS2 writes to.
+const LOG_STALE_MS = 10 * 60 * 1000;
+// The log's size is sampled twice this far apart: a changing size shows it is
+// being written right now, which mtime alone (copies, touch, sync tools) does not.
+const LOG_SAMPLE_MS = 1500;
+const BIND_EXEC_REGEX = /^\s*bind\s+"?([^"\s]+)"?\s+"?\s*exec\s+chat_reader(?:\.cfg)?\s*"?/im;
+
+function doctorResult(id, label, status, detail, fix = "") {
+  return { id, label, status, detail, fix };
+}
+
+function findOnPath(bin) {
+  if (bin.includes("/")) return fs.existsSync(bin) ? bin : null;
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    const full = path.join(dir, bin);
+    try {
+      fs.accessSync(full, fs.constants.X_OK);
+      return full;
+    } catch {}
+  }
+  return null;
+}
+
+// Command line of a running CS2 process, or null when the game is not running.
+function runningCs2Cmdline() {
+  let pids = [];
+  try { pids = fs.readdirSync("/proc").filter((d) => /^\d+$/.test(d)); } catch { return null; }
+  for (const pid of pids) {
+    try {
+      const argv = fs.readFileSync(`/proc/${pid}/cmdline`, "utf8").split("\0");
+      if (/(^|\/)cs2(\.exe)?$/.test(argv[0])) return argv.join(" ");
+    } catch {}
+  }
+  return null;
+}
+
+// CS2 launch options from every Steam user's localconfig.vdf.
+function steamLaunchOptions() {
+  const found = [];
+  for (const root of steamRoots()) {
+    let users = [];
+    try { users = fs.readdirSync(path.join(root, "userdata")); } catch { continue; }
+    for (const user of users) {
+      const file = path.join(root, "userdata", user, "config", "localconfig.vdf");
+      let txt;
+      try { txt = fs.readFileSync(file, "utf8"); } catch { continue; }
+      const app = txt.match(new RegExp(`"${CS2_APP_ID}"\\s*\\{([^{}]*(?:\\{[^{}]*\\}[^{}]*)*)\\}`));
+      const opts = app?.[1].match(/"LaunchOptions"\s+"([^"]*)"/i);
+      found.push({ file, options: opts ? opts[1] : "" });
+    }
+  }
+  return found;
+}
+
+async function checkLogPath() {
+  if (!LOG_PATH || !fs.existsSync(LOG_PATH)) {
+    return doctorResult("logPath", "console.log", "fail",
+      `${LOG_PATH || "(not set)"} does not exist`,
+      "Start CS2 once with -condebug; --detect-paths shows where console.log should be, --set-log-path sets it");
+  }
+  const before = fs.statSync(LOG_PATH).size;
+  await sleep(LOG_SAMPLE_MS);
+  let st;
+  try {
+    st = fs.statSync(LOG_PATH);
+  } catch (err) {
+    return doctorResult("logPath", "console.log", "fail", `${LOG_PATH}: ${err.message}`,
+      "Check that nothing else removes or moves console.log");
+  }
+  if (st.size !== before) {
+    return doctorResult("logPath", "console.log", "ok", `${LOG_PATH} (being written right now)`);
+  }
+  const age = Date.now() - st.mtimeMs;
+  if (age > LOG_STALE_MS) {
+    return doctorResult("logPath", "console.log", "warn",
+      `${LOG_PATH} exists but was last written ${Math.round(age / 60000)} min ago`,
+      "If CS2 is running, it writes somewhere else: check -condebug and the game directory");
+  }
+  return doctorResult("logPath", "console.log", "ok",
+    `${LOG_PATH} (written ${Math.round(age / 1000)}s ago, no new output during the check)`);
+}
+
+function checkCondebug() {
+  const fix = 'Steam → CS2 → Properties → Launch Options: add "-condebug"';
+  const cmdline = runningCs2Cmdline();
+  if (cmdline) {
+    return /-condebug\b/.test(cmdline)
+      ? doctorResult("condebug", "-condebug", "ok", "CS2 is running with -condebug")
+      : doctorResult("condebug", "-condebug", "fail", "CS2 is running without -condebug", `${fix}, then restart the game`);
+  }
+  const configs = steamLaunchOptions();
+  if (!configs.length) {
+    return doctorResult("condebug", "-condebug", "warn",
+      "CS2 is not running and no Steam localconfig.vdf was found", fix);
+  }
+  const withFlag = configs.filter((c) => /-condebug\b/.test(c.options));
+  if (withFlag.length) {
+    return doctorResult("condebug", "-condebug", "ok", `Launch options contain -condebug (${withFlag[0].file})`);
+  }
+  return doctorResult("condebug", "-condebug", "fail",
+    `Launch options without -condebug: ${configs.map((c) => JSON.stringify(c.options)).join(", ")}`, fix);
+}
+
+function checkCfgDir() {
+  if (!CSGO_CFG_DIR || !fs.existsSync(CSGO_CFG_DIR)) {
+    return doctorResult("cfgDir", "cfg directory", "fail",
+      `${CSGO_CFG_DIR || "(not set)"} does not exist`,
+      "Run --detect-paths to find the CS2 install, then --set-cfg-dir /path/to/game/csgo/cfg");
+  }
+  try {
+    fs.accessSync(CSGO_CFG_DIR, fs.constants.W_OK);
+  } catch {
+    return doctorResult("cfgDir", "cfg directory", "fail", `${CSGO_CFG_DIR} is not writable`,
+      `Fix the permissions, e.g. chown $USER "${CSGO_CFG_DIR}"`);
+  }
+  return doctorResult("cfgDir", "cfg directory", "ok", `${CSGO_CFG_DIR} is writable`);
+}
+
+function checkBind() {
+  const fix = `Add bind "${BIND_KEY}" "exec chat_reader.cfg" to ${path.join(CSGO_CFG_DIR || "cfg", "autoexec.cfg")}`;
+  let files = [];
+  try {
+    files = fs.readdirSync(CSGO_CFG_DIR).filter((f) => f.endsWith(".cfg") && f !== "chat_reader.cfg");
+  } catch {
+    return doctorResult("bind", "bind key", "warn", "cfg directory not readable", fix);
+  }
+  const binds = [];
+  for (const f of files) {
+    let txt;
+    try { txt = fs.readFileSync(path.join(CSGO_CFG_DIR, f), "utf8"); } catch { continue; }
+    const m = txt.match(BIND_EXEC_REGEX);
+    if (m) binds.push({ file: f, key: m[1] });
+  }
+  const match = binds.find((b) => b.key.toLowerCase() === BIND_KEY.toLowerCase());
+  if (match) return doctorResult("bind", "bind key", "ok", `${match.file} binds "${match.key}" to exec chat_reader.cfg`);
+  if (binds.length) {
+    return doctorResult("bind", "bind key", "fail",
+      `${binds[0].file} binds "${binds[0].key}", but bindKey is "${BIND_KEY}"`,
+      `Run --set-bind-key ${binds[0].key}, or change the bind to "${BIND_KEY}"`);
+  }
+  return doctorResult("bind", "bind key", "warn",
+    `No cfg file in ${CSGO_CFG_DIR} binds a key to exec chat_reader.cfg (binds made in the console only are not visible)`, fix);
+}
+
+function checkKeyInjector() {
+  const label = "key injector";
+  if (!SEND_CHAT) return doctorResult("injector", label, "warn", "--no-send: no chat is sent", "Start without --no-send");
+  if (KEY_INJECTOR === "none" || KEY_INJECTOR === "dry-run") {
+    return doctorResult("injector", label, "warn", `"${KEY_INJECTOR}" does not press the bind key in game`,
+      "Set keyInjector to xdotool, ydotool, wtype or custom");
+  }
+  const bin = KEY_INJECTOR === "custom" ? KEY_COMMAND.split(/\s+/).filter(Boolean)[0] : KEY_INJECTOR;
+  if (!bin) return doctorResult("injector", label, "fail", "keyCommand is empty", 'Set keyCommand, e.g. "mytool press {key}"');
+  const found = findOnPath(bin);
+  if (!found) {
+    return doctorResult("injector", label, "fail", `${bin} not found on PATH`,
+      KEY_INJECTOR === "custom" ? "Fix keyCommand" : `Install ${bin} (e.g. sudo pacman -S ${bin})`);
+  }
+  if (KEY_INJECTOR === "xdotool" && process.env.WAYLAND_DISPLAY && !process.env.DISPLAY) {
+    return doctorResult("injector", label, "warn", "xdotool found, but this is a Wayland session without DISPLAY",
+      "Use keyInjector ydotool or wtype");
+  }
+  if (KEY_INJECTOR === "ydotool" && !findOnPath("ydotoold")) {
+    return doctorResult("injector", label, "warn", `${found} found, but ydotoold is not installed`,
+      "Install ydotool's daemon and start ydotoold");
+  }
+  return doctorResult("injector", label, "ok", `${KEY_INJECTOR}: ${found}`);
+}
+
+async function checkTranslator() {
+  const label = "translation backend";
+  let timer;
+  try {
+    const res = await Promise.race([
+      TRANSLATORS[TRANSLATOR].translate("hello", { to: "de" }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("no answer within 10s")), 10000);
+      })
+    ]);
+    return doctorResult("translator", label, "ok", `${TRANSLATOR}: "hello" → "${res.text}"`);
+  } catch (err) {
+    return doctorResult("translator", label, "fail", `${TRANSLATOR}: ${err.message}`,
+      TRANSLATOR === "google"
+        ? "Check the internet connection, or switch translator to libretranslate / deepl"
+        : "Check translatorUrl and translatorApiKey");
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The two checks that wait run side by side; results keep this order.
+async function runDoctor() {
+  return Promise.all([
+    checkLogPath(),
+    checkCondebug(),
+    checkCfgDir(),
+    checkBind(),
+    checkKeyInjector(),
+    checkTranslator()
+  ]);
+}
+
+async function doctorCli() {
+  setupFromConfig();
+  console.log(sym.start, chalk.bold("CS2 Chat Translator doctor\n"));
+  const results = await runDoctor();
+  const icon = { ok: sym.ok, warn: sym.warn, fail: sym.err };
+  for (const r of results) {
+    console.log(icon[r.status], chalk.bold(r.label), chalk.gray("—"), r.detail);
+    if (r.fix) logKV("fix", r.fix);
+  }
+  return results.some((r) => r.status === "fail") ? 1 : 0;
+}
+
 // -----------------------------------------------------------------------------
 // HTTP server (web GUI)
 // -----------------------------------------------------------------------------
 
 const INDEX_HTML = String.raw`<!doctype html>
-<html lang="en" data-theme="dark" data-size="md">
+<html lang="en" data-theme="dark" data-size="md" data-access="__ACCESS__">
 <head>
 <meta charset="utf-8" />
 <meta name="viewport" content="width=device-width,initial-scale=1" />
+<meta name="cs2ct-token" content="__SESSION_TOKEN__" />
 <title>CS2 Chat Translator</title>
 <link rel="preconnect" href="https://fonts.googleapis.com">
 <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
@@ -723,9 +3074,15 @@ const INDEX_HTML = String.raw`<!doctype html>
     overflow: hidden;
     align-items: stretch;
   }
-  .feed {
+  .feed-col {
     flex: 1 1 auto;
     min-width: 0;
+    display: flex;
+    flex-direction: column;
+  }
+  .feed {
+    flex: 1 1 auto;
+    min-height: 0;
     overflow-y: auto;
     padding: 16px 24px 32px;
     scroll-behavior: smooth;
@@ -753,6 +3110,77 @@ const INDEX_HTML = String.raw`<!doctype html>
     main.aside-hidden aside { flex: 0 0 0; max-height: 0; padding-top: 0; padding-bottom: 0; border-top-color: transparent; }
   }
 
+  /* Read-only pairing: feed, history and appearance only */
+  html[data-access="read"] .compose,
+  html[data-access="read"] aside .section:not(.appearance) { display: none !important; }
+
+  /* View switch + history */
+  .seg.view-seg { width: auto; }
+  .seg.view-seg button { flex: 0 0 auto; padding: 5px 12px; }
+  .hidden { display: none !important; }
+  .history {
+    flex: 1 1 auto;
+    min-height: 0;
+    display: flex; flex-direction: column;
+  }
+  .history-form {
+    display: flex; flex-wrap: wrap; gap: 8px;
+    padding: 12px 24px;
+    border-bottom: 1px solid var(--border);
+  }
+  .history-form input, .history-form select {
+    padding: 7px 9px;
+    background: var(--surface); color: var(--text);
+    border: 1px solid var(--border); border-radius: 3px;
+    font-family: var(--font); font-size: 12px;
+    outline: none; color-scheme: dark light;
+  }
+  .history-form input:focus, .history-form select:focus { border-color: var(--accent-dim); }
+  #hQ { flex: 1 1 180px; min-width: 0; }
+  #hPlayer { flex: 0 1 120px; min-width: 0; }
+  #hLang { flex: 0 0 64px; width: 64px; }
+  .history-results {
+    flex: 1 1 auto; min-height: 0; overflow-y: auto;
+    padding: 8px 24px 32px;
+  }
+  .history-results .entry { grid-template-columns: 112px 1fr; }
+  .history-results .session-head {
+    margin: 16px 0 4px; font-size: 10px;
+    letter-spacing: 0.12em; text-transform: uppercase;
+    color: var(--muted-2);
+  }
+
+  /* Compose bar */
+  .compose {
+    flex: 0 0 auto;
+    padding: 10px 24px 14px;
+    border-top: 1px solid var(--border);
+    background: var(--bg);
+  }
+  .compose-row { display: flex; gap: 8px; }
+  .compose input[type="text"], .compose select {
+    padding: 8px 10px;
+    background: var(--surface); color: var(--text);
+    border: 1px solid var(--border); border-radius: 3px;
+    font-family: var(--font); font-size: 12px;
+    outline: none; transition: border-color 120ms;
+  }
+  .compose input[type="text"]:focus, .compose select:focus { border-color: var(--accent-dim); }
+  #composeText { flex: 1 1 auto; min-width: 0; }
+  #composeTarget { flex: 0 0 64px; width: 64px; }
+  .compose-preview {
+    min-height: 0; margin-bottom: 0;
+    color: var(--muted); font-size: 12px;
+    word-break: break-word;
+  }
+  .compose-preview:not(:empty) {
+    margin-bottom: 8px; padding-left: 12px;
+    border-left: 2px solid var(--accent-dim);
+  }
+  .compose-preview .lang { color: var(--accent); }
+  .compose-preview .translated { color: var(--text); }
+  .compose-preview.err { color: var(--bad); border-left-color: var(--bad); }
+
   /* Scrollbars */
   .feed::-webkit-scrollbar, aside::-webkit-scrollbar { width: 10px; }
   .feed::-webkit-scrollbar-track, aside::-webkit-scrollbar-track { background: transparent; }
@@ -825,6 +3253,63 @@ const INDEX_HTML = String.raw`<!doctype html>
     margin-right: 6px;
   }
 
+  /* Player rule shortcuts on feed entries */
+  .pr-actions { display: none; margin-left: 8px; white-space: nowrap; }
+  .entry.chat:hover .pr-actions { display: inline; }
+  .pr-btn {
+    padding: 0 6px; margin-left: 4px;
+    background: transparent; color: var(--muted-2);
+    border: 1px solid var(--border); border-radius: 2px;
+    font-family: var(--font); font-size: 10px; line-height: 16px;
+    cursor: pointer;
+  }
+  .pr-btn:hover { color: var(--accent); border-color: var(--accent-dim); }
+
+  /* Doctor panel */
+  .doctor .check { padding: 6px 0; border-top: 1px dashed var(--border); font-size: 11px; line-height: 1.5; }
+  .doctor .check:first-child { border-top: 0; }
+  .doctor .check .st { font-weight: 600; margin-right: 6px; text-transform: uppercase; font-size: 10px; }
+  .doctor .check.ok .st { color: var(--good); }
+  .doctor .check.warn .st { color: var(--accent); }
+  .doctor .check.fail .st { color: var(--bad); }
+  .doctor .check .d { color: var(--muted); word-break: break-word; }
+  .doctor .check .fix { color: var(--text); margin-top: 2px; }
+
+  /* Player rules panel */
+  .rules .rule {
+    display: grid; grid-template-columns: 1fr auto; gap: 6px;
+    padding: 8px 0; border-top: 1px dashed var(--border);
+  }
+  .rules .rule:first-child { border-top: 0; }
+  .rules .rule .name { color: var(--text); font-size: 12px; word-break: break-all; }
+  .rules .rule .flags { grid-column: 1 / -1; display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+  .chip {
+    padding: 1px 7px;
+    background: transparent; color: var(--muted);
+    border: 1px solid var(--border-strong); border-radius: 10px;
+    font-family: var(--font); font-size: 10px; cursor: pointer;
+  }
+  .chip.on { color: var(--accent); border-color: var(--accent-dim); background: color-mix(in srgb, var(--accent) 10%, transparent); }
+  .rules .rule input.src {
+    width: 56px; padding: 2px 6px;
+    background: var(--bg); color: var(--text);
+    border: 1px solid var(--border); border-radius: 3px;
+    font-family: var(--font); font-size: 11px; outline: none;
+  }
+  .rules .rule .rm {
+    background: transparent; border: 0; color: var(--muted-2);
+    cursor: pointer; font-size: 13px; line-height: 1; padding: 0 2px;
+  }
+  .rules .rule .rm:hover { color: var(--bad); }
+  .rules-empty { color: var(--muted-2); font-size: 11px; font-style: italic; }
+  .rules-add { display: flex; gap: 8px; margin-top: 10px; }
+  .rules-add input {
+    flex: 1 1 auto; min-width: 0; padding: 7px 9px;
+    background: var(--bg); color: var(--text);
+    border: 1px solid var(--border); border-radius: 3px;
+    font-family: var(--font); font-size: 12px; outline: none;
+  }
+
   /* Sidebar sections */
   .section { margin-bottom: 28px; }
   .section h2 {
@@ -844,7 +3329,7 @@ const INDEX_HTML = String.raw`<!doctype html>
     display: block; margin-bottom: 4px;
     font-size: 11px; color: var(--muted);
   }
-  .field input[type="text"], .field select {
+  .field input[type="text"], .field select, .field textarea {
     width: 100%; padding: 8px 10px;
     background: var(--bg); color: var(--text);
     border: 1px solid var(--border);
@@ -862,7 +3347,10 @@ const INDEX_HTML = String.raw`<!doctype html>
     background-repeat: no-repeat;
     padding-right: 26px;
   }
-  .field input[type="text"]:focus, .field select:focus {
+  .field textarea { resize: vertical; line-height: 1.5; }
+  .field .invalid, .field input.invalid { border-color: var(--bad); }
+  .field-error { color: var(--bad); font-size: 10px; margin-top: 3px; }
+  .field input[type="text"]:focus, .field select:focus, .field textarea:focus {
     border-color: var(--accent-dim);
   }
   .field .row-3 {
@@ -980,6 +3468,40 @@ const INDEX_HTML = String.raw`<!doctype html>
     color: var(--muted-2); font-size: 11px; margin-top: 2px;
   }
   .cmds .cmd .ex span { color: var(--muted); }
+  .cmds .cmd .head { display: flex; justify-content: space-between; align-items: center; gap: 8px; }
+  .cmds .cmd.off code, .cmds .cmd.off p { opacity: 0.5; }
+  .cmds .cmd .opts { display: flex; gap: 6px; margin-top: 6px; }
+  .cmds .cmd input.trig, .cmds .cmd select.allow {
+    flex: 1 1 auto; min-width: 0; padding: 3px 6px;
+    background: var(--bg); color: var(--text);
+    border: 1px solid var(--border); border-radius: 3px;
+    font-family: var(--font); font-size: 11px; outline: none;
+  }
+  .cmds .cmd select.allow { flex: 0 0 auto; }
+
+  .stats > div {
+    display: flex; justify-content: space-between;
+    padding: 4px 0; font-size: 12px;
+    border-top: 1px dashed var(--border);
+  }
+  .stats > div:first-child { border-top: 0; }
+  .stats .k { color: var(--muted); }
+  .stats .v { color: var(--text); font-variant-numeric: tabular-nums; }
+
+  .sends .send {
+    display: grid; grid-template-columns: 58px 1fr; gap: 8px;
+    padding: 4px 0; font-size: 11px;
+    border-top: 1px dashed var(--border);
+  }
+  .sends .send:first-child { border-top: 0; }
+  .sends .send .st { text-transform: uppercase; letter-spacing: 0.08em; font-size: 10px; color: var(--muted); }
+  .sends .send.sending .st, .sends .send.queued .st { color: var(--info); }
+  .sends .send.sent .st { color: var(--good); }
+  .sends .send.failed .st { color: var(--bad); }
+  .sends .send .m { color: var(--text); word-break: break-word; }
+  .sends .send .k { color: var(--muted); }
+  .sends .send .e { color: var(--bad); }
+  .sends-empty { color: var(--muted-2); font-size: 11px; font-style: italic; }
 
   .path-hint {
     color: var(--muted-2); font-size: 10px; margin-top: 6px;
@@ -995,6 +3517,25 @@ const INDEX_HTML = String.raw`<!doctype html>
     color: var(--bad); font-size: 11px;
   }
   .warn-banner.hidden { display: none; }
+
+  /* Phones / tablets on the LAN */
+  @media (max-width: 600px) {
+    body { min-height: 100dvh; height: 100dvh; }
+    header { padding: 10px 12px; gap: 10px; }
+    .brand { gap: 8px; }
+    .brand .name, .status .label { display: none; }
+    .header-right { gap: 10px; }
+    .feed { padding: 8px 12px 24px; }
+    .entry { grid-template-columns: 44px 1fr; gap: 8px; }
+    .history-form, .history-results { padding-left: 12px; padding-right: 12px; }
+    .history-results .entry { grid-template-columns: 1fr; gap: 0; }
+    .compose { padding: 8px 12px 12px; }
+    .compose-row { flex-wrap: wrap; }
+    #composeText { flex: 1 1 100%; }
+    /* 16px keeps mobile browsers from zooming into focused inputs */
+    .compose-row input, .compose-row select, .history-form input, .history-form select { font-size: 16px; }
+    aside { padding: 16px 12px 24px; max-height: 70vh; }
+  }
 </style>
 </head>
 <body>
@@ -1006,6 +3547,10 @@ const INDEX_HTML = String.raw`<!doctype html>
     <span class="tag">Live</span>
   </div>
   <div class="header-right">
+    <div class="seg view-seg" id="segView">
+      <button data-val="live" class="active">Live</button>
+      <button data-val="history">History</button>
+    </div>
     <div class="status off" id="status">
       <span class="dot"></span>
       <span class="label" id="statusLabel">connecting…</span>
@@ -1021,12 +3566,43 @@ const INDEX_HTML = String.raw`<!doctype html>
 </header>
 
 <main id="main">
-  <section class="feed" id="feed">
-    <div class="feed-empty" id="feedEmpty">
-      waiting for chat…
-      <span class="hint">make sure CS2 is running and console logging is enabled</span>
-    </div>
-  </section>
+  <div class="feed-col">
+    <section class="feed" id="feed">
+      <div class="feed-empty" id="feedEmpty">
+        waiting for chat…
+        <span class="hint">make sure CS2 is running and console logging is enabled</span>
+      </div>
+    </section>
+
+    <section class="history hidden" id="history">
+      <form class="history-form" id="historyForm" autocomplete="off">
+        <input id="hQ" type="text" spellcheck="false" placeholder="search text…" />
+        <input id="hPlayer" type="text" spellcheck="false" placeholder="player" />
+        <input id="hLang" type="text" spellcheck="false" maxlength="6" placeholder="lang" />
+        <input id="hFrom" type="datetime-local" title="From" />
+        <input id="hTo" type="datetime-local" title="To" />
+        <select id="hSession" title="Session"><option value="">all sessions</option></select>
+        <button type="submit" class="btn primary">Search</button>
+      </form>
+      <div class="history-results" id="historyResults">
+        <div class="feed-empty">search the stored chat history</div>
+      </div>
+    </section>
+
+    <form class="compose" id="compose" autocomplete="off">
+      <div class="compose-preview" id="composePreview"></div>
+      <div class="compose-row">
+        <input id="composeText" type="text" spellcheck="true" placeholder="Type a message for CS2 chat…" />
+        <input id="composeTarget" type="text" spellcheck="false" maxlength="6" placeholder="lang" title="Target language (empty = send as typed)" />
+        <select id="composeChannel" title="Chat channel">
+          <option value="say">say</option>
+          <option value="say_team">say_team</option>
+        </select>
+        <button type="button" class="btn" id="composePreviewBtn">Preview</button>
+        <button type="submit" class="btn primary" id="composeSendBtn">Send</button>
+      </div>
+    </form>
+  </div>
 
   <aside id="aside">
     <div class="warn-banner hidden" id="warnBanner"></div>
@@ -1054,6 +3630,29 @@ const INDEX_HTML = String.raw`<!doctype html>
         </div>
       </div>
 
+      <div class="field">
+        <label for="sendSpacing">Send spacing (ms)</label>
+        <input id="sendSpacing" type="text" inputmode="numeric" spellcheck="false" maxlength="6" />
+        <div class="hint">Minimum pause between two outgoing chat messages, to stay under CS2's chat flood limit.</div>
+      </div>
+
+      <div class="field">
+        <label for="keyInjector">Key injector</label>
+        <select id="keyInjector">
+          <option value="xdotool">xdotool (X11 / XWayland)</option>
+          <option value="ydotool">ydotool (Wayland, needs ydotoold)</option>
+          <option value="wtype">wtype (wlroots compositors)</option>
+          <option value="custom">Custom command</option>
+          <option value="none">None (only write chat_reader.cfg)</option>
+          <option value="dry-run">Dry run (log key presses to a file)</option>
+        </select>
+      </div>
+      <div class="field">
+        <label for="keyCommand">Custom key command</label>
+        <input id="keyCommand" type="text" spellcheck="false" readonly placeholder="not set" />
+        <div class="hint">Used by "Custom command". Run without a shell; <code>{key}</code> is replaced by the bind key. Set <code>keyCommand</code> in config.json, it cannot be changed from here.</div>
+      </div>
+
       <div class="subhead">Chat tag prefixes</div>
       <div class="field">
         <div class="row-3">
@@ -1073,6 +3672,31 @@ const INDEX_HTML = String.raw`<!doctype html>
         <div class="hint">CS2 writes a bracketed tag before each chat line (e.g. <code>[CT]</code>). Override if your client is in another language.</div>
       </div>
 
+      <div class="subhead">Translation backend</div>
+      <div class="field">
+        <label for="translator">Provider</label>
+        <select id="translator">
+          <option value="google">Google Translate (unofficial)</option>
+          <option value="libretranslate">LibreTranslate</option>
+          <option value="deepl">DeepL / DeepL-compatible</option>
+          <option value="stub">Local stub (offline)</option>
+        </select>
+      </div>
+      <div class="field">
+        <label for="translatorUrl">Endpoint URL</label>
+        <input id="translatorUrl" type="text" spellcheck="false" placeholder="provider default" />
+      </div>
+      <div class="field">
+        <label for="translatorApiKey">API key</label>
+        <input id="translatorApiKey" type="text" spellcheck="false" autocomplete="off" placeholder="optional" />
+        <div class="hint">Only used by LibreTranslate and DeepL. Leave the URL empty for the provider default (LibreTranslate: <code>http://127.0.0.1:5000</code>).</div>
+      </div>
+      <div class="field">
+        <label for="scriptPrefs">Script / letter preferences</label>
+        <textarea id="scriptPrefs" rows="5" spellcheck="false"></textarea>
+        <div class="hint">One <code>rule=lang</code> per line. <code>cyrillic-*</code> letter rules force the source language; script rules correct the provider when it detects something else. Empty value = leave detection to the provider.</div>
+      </div>
+
       <div class="field" style="margin-top:14px;">
         <label>Auto-translate non-commands</label>
         <div class="toggle">
@@ -1090,6 +3714,57 @@ const INDEX_HTML = String.raw`<!doctype html>
     </div>
 
     <div class="section">
+      <h2>Doctor</h2>
+      <div class="doctor" id="doctorList">
+        <div class="rules-empty">run the checks to diagnose the setup</div>
+      </div>
+      <div class="actions">
+        <button class="btn" id="doctorBtn">Run checks</button>
+      </div>
+    </div>
+
+    <div class="section">
+      <h2>Glossary</h2>
+      <div class="field">
+        <label for="glossaryUser">Your terms (JSON)</label>
+        <textarea id="glossaryUser" rows="6" spellcheck="false"></textarea>
+        <div class="hint" id="glossaryHint">Term → per-language forms, e.g. <code>{"b plat": {}, "eco": {"de": "Eco"}}</code>. Listed terms are never translated; <code>null</code> removes a built-in term.</div>
+      </div>
+      <div class="actions">
+        <button class="btn" id="glossarySaveBtn">Save glossary</button>
+      </div>
+    </div>
+
+    <div class="section">
+      <h2>Player rules</h2>
+      <div class="rules" id="rulesList"></div>
+      <form class="rules-add" id="rulesAdd" autocomplete="off">
+        <input id="rulesAddName" type="text" spellcheck="false" placeholder="player name" />
+        <button type="submit" class="btn">Add</button>
+      </form>
+      <div class="hint" style="color:var(--muted-2);font-size:10px;margin-top:6px;">Hover a chat line in the feed for quick mute / no-auto / no-cmds / source-language buttons.</div>
+    </div>
+
+    <div class="section">
+      <h2>Outgoing chat</h2>
+      <div class="sends" id="sendList">
+        <div class="sends-empty">nothing sent yet</div>
+      </div>
+    </div>
+
+    <div class="section">
+      <h2>Translation cache</h2>
+      <div class="stats" id="cacheStats">
+        <div><span class="k">entries</span><span class="v" id="cacheEntries">–</span></div>
+        <div><span class="k">hit rate</span><span class="v" id="cacheHitRate">–</span></div>
+        <div><span class="k">hits / misses</span><span class="v" id="cacheHits">–</span></div>
+      </div>
+      <div class="actions">
+        <button class="btn" id="cacheClearBtn">Clear cache</button>
+      </div>
+    </div>
+
+    <div class="section appearance">
       <h2>Appearance</h2>
 
       <div class="field">
@@ -1144,20 +3819,31 @@ const INDEX_HTML = String.raw`<!doctype html>
 
     <div class="section cmds">
       <h2>In-game commands</h2>
-      <div class="cmd">
-        <code>tm_&lt;lang&gt; TEXT</code>
-        <p>Translate TEXT and send to chat.</p>
-        <div class="ex"><span>e.g.</span> tm_de hello friend</div>
+      <div id="cmdList"></div>
+      <div class="hint" style="color:var(--muted-2);font-size:10px;margin-top:6px;">Triggers are comma separated, e.g. <code>tm_, !t</code>. A trigger ending in a letter needs a space before the argument.</div>
+      <div class="field" style="margin-top:12px;">
+        <label for="ownersInput">Your player name(s)</label>
+        <input id="ownersInput" type="text" spellcheck="false" placeholder="comma separated" />
+      </div>
+      <div class="field">
+        <label for="friendsInput">Friends</label>
+        <input id="friendsInput" type="text" spellcheck="false" placeholder="comma separated" />
+      </div>
+      <div class="field">
+        <label for="cooldownInput">Cooldown per player (s, owners exempt)</label>
+        <input id="cooldownInput" type="text" inputmode="numeric" spellcheck="false" />
       </div>
-      <div class="cmd">
-        <code>_tl [lang]</code>
-        <p>Translate the previous non-command message (default: en).</p>
-        <div class="ex"><span>e.g.</span> _tl fr</div>
+      <div class="actions">
+        <button class="btn" id="permsSaveBtn">Save permissions</button>
       </div>
-      <div class="cmd">
-        <code>code_&lt;language&gt;</code>
-        <p>Fuzzy lookup: replies with the right <code>tm_&lt;code&gt;</code>.</p>
-        <div class="ex"><span>e.g.</span> code_french → For French use tm_fr</div>
+    </div>
+
+    <div class="section">
+      <h2>Reply templates</h2>
+      <div id="templateFields"></div>
+      <div class="hint" style="color:var(--muted-2);font-size:10px;margin-bottom:10px;">Placeholders: <code>{sender}</code> <code>{translated}</code> <code>{original}</code> <code>{from}</code> <code>{fromIso}</code> <code>{target}</code>; <code>_re</code> also <code>{player}</code>, code replies <code>{language}</code> <code>{code}</code> <code>{command}</code> <code>{query}</code> <code>{suggestions}</code>. Empty = send nothing.</div>
+      <div class="actions">
+        <button class="btn" id="templatesSaveBtn">Save templates</button>
       </div>
     </div>
   </aside>
@@ -1172,18 +3858,53 @@ const INDEX_HTML = String.raw`<!doctype html>
   const toast = document.getElementById('toast');
   const cfgPathHint = document.getElementById('cfgPathHint');
   const mainEl = document.getElementById('main');
+  const composeForm = document.getElementById('compose');
+  const composeText = document.getElementById('composeText');
+  const composeTarget = document.getElementById('composeTarget');
+  const composeChannel = document.getElementById('composeChannel');
+  const composePreview = document.getElementById('composePreview');
+  const composePreviewBtn = document.getElementById('composePreviewBtn');
+  const composeSendBtn = document.getElementById('composeSendBtn');
   const asideToggle = document.getElementById('asideToggle');
 
   const logPathInput = document.getElementById('logPath');
   const cfgDirInput  = document.getElementById('cfgDir');
   const bindKeyInput = document.getElementById('bindKey');
+  const keyInjectorSel = document.getElementById('keyInjector');
+  const keyCommandInput = document.getElementById('keyCommand');
   const autoTargetInput = document.getElementById('autoTarget');
+  const sendSpacingInput = document.getElementById('sendSpacing');
   const tagCTInput = document.getElementById('tagCT');
   const tagTInput = document.getElementById('tagT');
   const tagAllInput = document.getElementById('tagAll');
+  const translatorSel = document.getElementById('translator');
+  const translatorUrlInput = document.getElementById('translatorUrl');
+  const translatorKeyInput = document.getElementById('translatorApiKey');
+  let apiKeyHidden = false;
+  const scriptPrefsInput = document.getElementById('scriptPrefs');
   const autoSwitch = document.getElementById('autoSwitch');
   const saveBtn = document.getElementById('saveBtn');
   const restartBtn = document.getElementById('restartBtn');
+  const sendListEl = document.getElementById('sendList');
+  const glossaryUserInput = document.getElementById('glossaryUser');
+  const glossaryHint = document.getElementById('glossaryHint');
+  const glossarySaveBtn = document.getElementById('glossarySaveBtn');
+  const rulesListEl = document.getElementById('rulesList');
+  const cmdListEl = document.getElementById('cmdList');
+  const doctorListEl = document.getElementById('doctorList');
+  const doctorBtn = document.getElementById('doctorBtn');
+  const templateFieldsEl = document.getElementById('templateFields');
+  const ownersInput = document.getElementById('ownersInput');
+  const friendsInput = document.getElementById('friendsInput');
+  const cooldownInput = document.getElementById('cooldownInput');
+  const permsSaveBtn = document.getElementById('permsSaveBtn');
+  const templatesSaveBtn = document.getElementById('templatesSaveBtn');
+  const rulesAddForm = document.getElementById('rulesAdd');
+  const rulesAddName = document.getElementById('rulesAddName');
+  const cacheEntriesEl = document.getElementById('cacheEntries');
+  const cacheHitRateEl = document.getElementById('cacheHitRate');
+  const cacheHitsEl = document.getElementById('cacheHits');
+  const cacheClearBtn = document.getElementById('cacheClearBtn');
 
   const segTheme = document.getElementById('segTheme');
   const segSize  = document.getElementById('segSize');
@@ -1194,6 +3915,18 @@ const INDEX_HTML = String.raw`<!doctype html>
 
   const LS_SIDEBAR    = 'cs2ct.sidebar';
   const LS_APPEARANCE = 'cs2ct.appearance';
+  const LS_COMPOSE    = 'cs2ct.compose';
+
+  const segView = document.getElementById('segView');
+  const historyEl = document.getElementById('history');
+  const historyForm = document.getElementById('historyForm');
+  const historyResults = document.getElementById('historyResults');
+  const hQ = document.getElementById('hQ');
+  const hPlayer = document.getElementById('hPlayer');
+  const hLang = document.getElementById('hLang');
+  const hFrom = document.getElementById('hFrom');
+  const hTo = document.getElementById('hTo');
+  const hSession = document.getElementById('hSession');
 
   let autoTranslateOn = true;
   let hasEntry = false;
@@ -1201,6 +3934,20 @@ const INDEX_HTML = String.raw`<!doctype html>
   /* --------------------------------------------------------
    * Helpers
    * ------------------------------------------------------ */
+  /* Mutating API calls carry the per-run session token embedded in this page
+   * and a JSON content type; the server answers 403 otherwise. */
+  const API_TOKEN = document.querySelector('meta[name="cs2ct-token"]').content;
+  if (document.documentElement.dataset.access === 'read') {
+    document.querySelector('.brand .tag').textContent = 'Read-only';
+  }
+  function apiPost(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-CS2CT-Token': API_TOKEN },
+      body: JSON.stringify(body ?? {})
+    });
+  }
+
   function escapeHtml(s) {
     return String(s ?? '').replace(/[&<>"']/g, c => ({
       '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'
@@ -1210,6 +3957,11 @@ const INDEX_HTML = String.raw`<!doctype html>
     const d = new Date(ts);
     return d.toTimeString().slice(0,8);
   }
+  function fmtDateTime(ts) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+    return pad(d.getMonth() + 1) + '/' + pad(d.getDate()) + ' ' + d.toTimeString().slice(0,8);
+  }
   function atBottom() {
     return feedEl.scrollHeight - feedEl.scrollTop - feedEl.clientHeight < 60;
   }
@@ -1241,25 +3993,31 @@ const INDEX_HTML = String.raw`<!doctype html>
     if (wasBottom) feedEl.scrollTop = feedEl.scrollHeight;
     while (feedEl.children.length > 400) feedEl.removeChild(feedEl.firstElementChild);
   }
-  function renderChat(evt) {
+  function chatHtml(evt, fmt = fmtTime) {
     const { team, sender, message } = evt.payload;
     const tagClass = team === 'CT' ? 'ct' : team === 'T' ? 't' : 'all';
-    append(
+    return (
       '<div class="entry chat">' +
-        '<div class="meta">' + fmtTime(evt.at) + '</div>' +
+        '<div class="meta">' + fmt(evt.at) + '</div>' +
         '<div class="body"><div class="line">' +
           '<span class="tag ' + tagClass + '">' + escapeHtml(team) + '</span>' +
           '<span class="sender">' + escapeHtml(sender) + '</span>' +
           '<span class="msg">: ' + escapeHtml(message) + '</span>' +
+          '<span class="pr-actions" data-player="' + escapeHtml(sender) + '">' +
+            '<button class="pr-btn" data-act="mute" title="Hide this player from the feed">mute</button>' +
+            '<button class="pr-btn" data-act="noAuto" title="Skip auto-translate for this player">no auto</button>' +
+            '<button class="pr-btn" data-act="ignoreCommands" title="Never act on commands from this player">no cmds</button>' +
+            '<button class="pr-btn" data-act="sourceLang" title="Force the source language for this player">src</button>' +
+          '</span>' +
         '</div></div>' +
       '</div>'
     );
   }
-  function renderAuto(evt) {
+  function autoHtml(evt, fmt = fmtTime) {
     const p = evt.payload;
-    append(
+    return (
       '<div class="entry auto">' +
-        '<div class="meta">' + fmtTime(evt.at) + '</div>' +
+        '<div class="meta">' + fmt(evt.at) + '</div>' +
         '<div class="body"><div class="line translation">' +
           '<span class="lang">' + escapeHtml(p.fromName) + '</span>' +
           '<span class="arrow">→</span>' +
@@ -1269,27 +4027,62 @@ const INDEX_HTML = String.raw`<!doctype html>
       '</div>'
     );
   }
-  function renderCommand(evt) {
+  function commandHtml(evt, fmt = fmtTime) {
     const p = evt.payload;
     let body = '';
-    if (p.kind === 'tm' || p.kind === 'tl') {
+    if (p.kind === 'tl' && p.items) {
       body =
-        '<span class="kind">' + (p.kind === 'tm' ? 'tm_' + escapeHtml(p.target) : '_tl ' + escapeHtml(p.target)) + '</span>' +
+        '<span class="kind">_tl all ' + escapeHtml(p.target) + '</span>' +
+        '<span class="msg">' + p.items.length + ' messages</span>' +
+        p.items.map(i =>
+          '<div class="translation" style="margin-top:2px;"><span class="sender">' + escapeHtml(i.sender) + '</span>: ' + escapeHtml(i.translated) +
+          '  <span class="lang">from ' + escapeHtml(i.from) + '</span>  <span style="color:var(--muted-2)">' + escapeHtml(i.original) + '</span></div>'
+        ).join('');
+    } else if (p.kind === 'tl' && p.translated === undefined) {
+      body =
+        '<span class="kind">_tl</span>' +
+        '<span class="msg">' + escapeHtml(p.reply) + '</span>';
+    } else if (p.kind === 'tm' || p.kind === 'tl') {
+      body =
+        '<span class="kind">' + (p.kind === 'tm' ? 'tm_' + escapeHtml(p.target) : '_tl ' + (p.pick ? escapeHtml(p.pick) + ' ' : '') + escapeHtml(p.target)) + '</span>' +
         '<span class="sender">' + escapeHtml(p.sender) + '</span>' +
         '<span class="msg">: ' + escapeHtml(p.translated) + '</span>' +
         '<div class="translation" style="margin-top:2px;"><span class="lang">from ' + escapeHtml(p.from) + '</span>  <span style="color:var(--muted-2)">' + escapeHtml(p.original) + '</span></div>';
+    } else if (p.kind === 're' && p.translated !== undefined) {
+      body =
+        '<span class="kind">_re ' + escapeHtml(p.target) + '</span>' +
+        '<span class="sender">→ ' + escapeHtml(p.player) + '</span>' +
+        '<span class="msg">: ' + escapeHtml(p.translated) + '</span>' +
+        '<div class="translation" style="margin-top:2px;"><span class="lang">from ' + escapeHtml(p.from) + '</span>  <span style="color:var(--muted-2)">' + escapeHtml(p.original) + '</span></div>';
+    } else if (p.kind === 're') {
+      body =
+        '<span class="kind">_re</span>' +
+        '<span class="msg">' + escapeHtml(p.reply) + '</span>';
+    } else if (p.kind === 'send') {
+      body =
+        '<span class="kind">' + escapeHtml(p.channel) + (p.target ? ' ' + escapeHtml(p.target) : '') + '</span>' +
+        '<span class="msg">' + escapeHtml(p.translated) + '</span>' +
+        (p.target ? '<div class="translation" style="margin-top:2px;"><span class="lang">from ' + escapeHtml(p.from) + '</span>  <span style="color:var(--muted-2)">' + escapeHtml(p.original) + '</span></div>' : '');
+    } else if (p.kind === 'denied') {
+      body =
+        '<span class="kind">ignored</span>' +
+        '<span class="sender">' + escapeHtml(p.sender) + '</span>' +
+        '<span class="msg">: ' + escapeHtml(p.command) + ' (' + escapeHtml(p.reason) + ')</span>';
     } else if (p.kind === 'code') {
       body =
         '<span class="kind">code</span>' +
         '<span class="msg">' + escapeHtml(p.reply) + '</span>';
     }
-    append(
+    return (
       '<div class="entry command">' +
-        '<div class="meta">' + fmtTime(evt.at) + '</div>' +
+        '<div class="meta">' + fmt(evt.at) + '</div>' +
         '<div class="body"><div class="line">' + body + '</div></div>' +
       '</div>'
     );
   }
+  function renderChat(evt)    { append(chatHtml(evt)); }
+  function renderAuto(evt)    { append(autoHtml(evt)); }
+  function renderCommand(evt) { append(commandHtml(evt)); }
   function renderSystem(text) {
     append(
       '<div class="entry system">' +
@@ -1310,7 +4103,12 @@ const INDEX_HTML = String.raw`<!doctype html>
   function updateStatus(s) {
     if (!s) return;
     statusEl.classList.remove('on', 'bad', 'off');
-    if (s.watching) {
+    if (s.replay) {
+      statusEl.classList.add(s.replay.done ? 'off' : 'on');
+      statusLabel.textContent = (s.replay.done ? 'replay finished' : 'replaying log') +
+        (s.sendChat === false ? ' (no-send)' : '');
+      warnBanner.classList.add('hidden');
+    } else if (s.watching) {
       statusEl.classList.add('on');
       statusLabel.textContent = 'watching console.log';
       warnBanner.classList.add('hidden');
@@ -1332,6 +4130,12 @@ const INDEX_HTML = String.raw`<!doctype html>
       case 'status':  updateStatus(evt.payload); break;
       case 'error':   renderError(evt.payload.message); break;
       case 'cfg':     break;
+      case 'queue':   renderSend(evt.payload); break;
+      case 'rules':   renderRules(evt.payload.playerRules); break;
+      case 'config':
+        renderSystem('config.json changed on disk, settings reloaded.');
+        loadState(); loadCommands();
+        break;
       default: break;
     }
   }
@@ -1372,10 +4176,12 @@ const INDEX_HTML = String.raw`<!doctype html>
       e.preventDefault(); asideToggle.click();
     }
   });
+  // Small screens start with the feed only.
+  const wideScreen = !window.matchMedia('(max-width: 600px)').matches;
   try {
     const saved = localStorage.getItem(LS_SIDEBAR);
-    applySidebar(saved === null ? true : saved === '1');
-  } catch { applySidebar(true); }
+    applySidebar(saved === null ? wideScreen : saved === '1');
+  } catch { applySidebar(wideScreen); }
 
   /* --------------------------------------------------------
    * Appearance
@@ -1460,11 +4266,26 @@ const INDEX_HTML = String.raw`<!doctype html>
       logPathInput.value = cfgRes.logPath || '';
       cfgDirInput.value  = cfgRes.cfgDir || '';
       bindKeyInput.value = cfgRes.bindKey || '';
+      keyInjectorSel.value = cfgRes.keyInjector || 'xdotool';
+      keyCommandInput.value = cfgRes.keyCommand || '';
+      keyCommandInput.placeholder = 'keyCommand' in cfgRes ? 'not set' : 'hidden';
       autoTargetInput.value = (cfgRes.autoTranslateTarget || 'en').toLowerCase();
+      sendSpacingInput.value = cfgRes.sendSpacingMs ?? 1200;
       tagCTInput.value = cfgRes.tagCT || 'CT';
       tagTInput.value  = cfgRes.tagT  || 'T';
       tagAllInput.value = cfgRes.tagAll || 'ALL';
+      translatorSel.value = cfgRes.translator || 'google';
+      translatorUrlInput.value = cfgRes.translatorUrl || '';
+      // Other devices do not get the key; leaving the field empty keeps it.
+      apiKeyHidden = !('translatorApiKey' in cfgRes);
+      translatorKeyInput.value = cfgRes.translatorApiKey || '';
+      translatorKeyInput.placeholder = apiKeyHidden ? 'hidden (type to replace)' : 'optional';
+      scriptPrefsInput.value = Object.entries(cfgRes.scriptPreferences || {})
+        .map(([k, v]) => k + '=' + v).join('\n');
       setSwitch(cfgRes.autoTranslate !== false);
+      renderRules(cfgRes.playerRules || {});
+      renderTemplates(cfgRes.templates || {});
+      renderPermissions(cfgRes);
       updateStatus(statusRes);
       if (statusRes.configPath) {
         cfgPathHint.textContent = 'config: ' + statusRes.configPath;
@@ -1474,26 +4295,60 @@ const INDEX_HTML = String.raw`<!doctype html>
     }
   }
 
+  /* Config updates are validated server-side; rejected fields come back as
+   * { fields: { key: message } } and are shown under their inputs. */
+  const FIELD_INPUTS = {
+    autoTranslateTarget: 'autoTarget', sendSpacingMs: 'sendSpacing',
+    scriptPreferences: 'scriptPrefs', owners: 'ownersInput', friends: 'friendsInput',
+    commandCooldownSec: 'cooldownInput', templates: 'templateFields', commands: 'cmdList'
+  };
+  function showFieldErrors(body, fields) {
+    Object.keys(body).forEach(key => {
+      const input = document.getElementById(FIELD_INPUTS[key] || key);
+      if (!input) return;
+      input.classList.remove('invalid');
+      if (input.nextElementSibling?.classList.contains('field-error')) input.nextElementSibling.remove();
+      if (!fields || !fields[key]) return;
+      input.classList.add('invalid');
+      const err = document.createElement('div');
+      err.className = 'field-error';
+      err.textContent = fields[key];
+      input.insertAdjacentElement('afterend', err);
+    });
+  }
+  async function postConfig(body) {
+    const res = await apiPost('/api/config', body);
+    const data = await res.json();
+    showFieldErrors(body, res.ok ? null : data.fields);
+    if (!res.ok) throw new Error(data.fields ? 'check the highlighted fields' : (data.error || ('HTTP ' + res.status)));
+    return data;
+  }
+
   saveBtn.addEventListener('click', async () => {
     saveBtn.disabled = true;
     try {
       const body = {
         logPath: logPathInput.value.trim(),
         cfgDir:  cfgDirInput.value.trim(),
-        bindKey: bindKeyInput.value.trim() || 'l',
+        bindKey: bindKeyInput.value.trim(),
+        keyInjector: keyInjectorSel.value,
         autoTranslate: autoTranslateOn,
-        autoTranslateTarget: (autoTargetInput.value.trim() || 'en').toLowerCase(),
-        tagCT:  tagCTInput.value.trim() || 'CT',
-        tagT:   tagTInput.value.trim()  || 'T',
-        tagAll: tagAllInput.value.trim() || 'ALL'
+        autoTranslateTarget: autoTargetInput.value.trim().toLowerCase(),
+        sendSpacingMs: Number(sendSpacingInput.value.trim() || 0),
+        tagCT:  tagCTInput.value.trim(),
+        tagT:   tagTInput.value.trim(),
+        tagAll: tagAllInput.value.trim(),
+        translator: translatorSel.value,
+        translatorUrl: translatorUrlInput.value.trim(),
+        translatorApiKey: apiKeyHidden && !translatorKeyInput.value.trim() ? undefined : translatorKeyInput.value.trim(),
+        scriptPreferences: Object.fromEntries(
+          scriptPrefsInput.value.split('\n')
+            .map(l => l.split('=').map(x => x.trim()))
+            .filter(([k]) => k)
+            .map(([k, v]) => [k, (v || '').toLowerCase()])
+        )
       };
-      const res = await fetch('/api/config', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
-      if (!res.ok) throw new Error('HTTP ' + res.status);
-      const saved = await res.json();
+      const saved = await postConfig(body);
       setToast('Saved.', 'ok');
       renderSystem('Config saved. Tags: ['+saved.tagCT+'] ['+saved.tagT+'] ['+saved.tagAll+']');
     } catch (err) {
@@ -1503,35 +4358,650 @@ const INDEX_HTML = String.raw`<!doctype html>
     }
   });
 
-  restartBtn.addEventListener('click', async () => {
-    restartBtn.disabled = true;
-    try {
-      const res = await fetch('/api/restart', { method: 'POST' });
-      const s = await res.json();
-      updateStatus(s);
-      setToast(s.watching ? 'Watcher restarted.' : 'Watcher idle.', s.watching ? 'ok' : 'err');
-    } catch (err) {
-      setToast('Restart failed: ' + err.message, 'err');
-    } finally {
-      restartBtn.disabled = false;
+  restartBtn.addEventListener('click', async () => {
+    restartBtn.disabled = true;
+    try {
+      const res = await apiPost('/api/restart');
+      const s = await res.json();
+      updateStatus(s);
+      setToast(s.watching ? 'Watcher restarted.' : 'Watcher idle.', s.watching ? 'ok' : 'err');
+    } catch (err) {
+      setToast('Restart failed: ' + err.message, 'err');
+    } finally {
+      restartBtn.disabled = false;
+    }
+  });
+
+  /* --------------------------------------------------------
+   * Compose
+   * ------------------------------------------------------ */
+  function composeBody() {
+    return {
+      text: composeText.value.trim(),
+      target: composeTarget.value.trim().toLowerCase(),
+      channel: composeChannel.value
+    };
+  }
+  function showPreview(r) {
+    composePreview.classList.remove('err');
+    composePreview.innerHTML = r.target
+      ? '<span class="lang">' + escapeHtml(r.fromName) + ' → ' + escapeHtml(r.target.toUpperCase()) + '</span>  ' +
+        '<span class="translated">' + escapeHtml(r.translated) + '</span>'
+      : '<span class="translated">' + escapeHtml(r.translated) + '</span>';
+  }
+  function showPreviewError(text) {
+    composePreview.classList.add('err');
+    composePreview.textContent = text;
+  }
+  async function postCompose(url) {
+    const res = await apiPost(url, composeBody());
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+    return data;
+  }
+  composePreviewBtn.addEventListener('click', async () => {
+    if (!composeText.value.trim()) return;
+    composePreviewBtn.disabled = true;
+    try { showPreview(await postCompose('/api/translate')); }
+    catch (err) { showPreviewError('Preview failed: ' + err.message); }
+    finally { composePreviewBtn.disabled = false; }
+  });
+  composeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!composeText.value.trim()) return;
+    composeSendBtn.disabled = true;
+    try {
+      showPreview(await postCompose('/api/send'));
+      composeText.value = '';
+    } catch (err) {
+      showPreviewError('Send failed: ' + err.message);
+    } finally {
+      composeSendBtn.disabled = false;
+      composeText.focus();
+    }
+  });
+  try {
+    const savedTarget = localStorage.getItem(LS_COMPOSE);
+    if (savedTarget) {
+      const c = JSON.parse(savedTarget);
+      composeTarget.value = c.target || '';
+      composeChannel.value = c.channel || 'say';
+    }
+  } catch {}
+  function rememberCompose() {
+    try {
+      localStorage.setItem(LS_COMPOSE, JSON.stringify({
+        target: composeTarget.value.trim().toLowerCase(), channel: composeChannel.value
+      }));
+    } catch {}
+  }
+  composeTarget.addEventListener('change', rememberCompose);
+  composeChannel.addEventListener('change', rememberCompose);
+
+  /* --------------------------------------------------------
+   * History view
+   * ------------------------------------------------------ */
+  let historyLoaded = false;
+  function showView(view) {
+    [...segView.children].forEach(b => b.classList.toggle('active', b.dataset.val === view));
+    feedEl.classList.toggle('hidden', view !== 'live');
+    historyEl.classList.toggle('hidden', view !== 'history');
+    if (view === 'history' && !historyLoaded) {
+      historyLoaded = true;
+      loadSessions().then(searchHistory);
+    }
+  }
+  segView.addEventListener('click', (e) => {
+    const btn = e.target.closest('button'); if (!btn) return;
+    showView(btn.dataset.val);
+  });
+  async function loadSessions() {
+    try {
+      const data = await fetch('/api/history/sessions').then(r => r.json());
+      hSession.innerHTML = '<option value="">all sessions</option>' + data.sessions.map(s =>
+        '<option value="' + escapeHtml(s.id) + '">' +
+          escapeHtml((s.startedAt ? fmtDateTime(s.startedAt) : s.id) +
+            (s.id === data.current ? ' (current)' : '') +
+            (s.source === 'replay' ? ' · replay' : '')) +
+        '</option>').join('');
+    } catch {}
+  }
+  function historyEntryHtml(evt) {
+    if (evt.type === 'chat') return chatHtml(evt, fmtDateTime);
+    if (evt.type === 'auto') return autoHtml(evt, fmtDateTime);
+    if (evt.type === 'command') return commandHtml(evt, fmtDateTime);
+    return '';
+  }
+  async function searchHistory() {
+    const params = new URLSearchParams();
+    if (hQ.value.trim()) params.set('q', hQ.value.trim());
+    if (hPlayer.value.trim()) params.set('player', hPlayer.value.trim());
+    if (hLang.value.trim()) params.set('lang', hLang.value.trim().toLowerCase());
+    if (hFrom.value) params.set('from', String(new Date(hFrom.value).getTime()));
+    if (hTo.value) params.set('to', String(new Date(hTo.value).getTime()));
+    if (hSession.value) params.set('session', hSession.value);
+    try {
+      const res = await fetch('/api/history?' + params.toString());
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      if (!data.events.length) {
+        historyResults.innerHTML = '<div class="feed-empty">' +
+          (data.enabled ? 'no matching messages' : 'history is disabled in config') + '</div>';
+        return;
+      }
+      // Results come newest first; show them oldest first within each session, like the feed.
+      const bySession = [];
+      for (const evt of data.events) {
+        const last = bySession[bySession.length - 1];
+        if (last && last.id === evt.session) last.events.unshift(evt);
+        else bySession.push({ id: evt.session, events: [evt] });
+      }
+      historyResults.innerHTML = bySession.map(s =>
+        '<div class="session-head">session ' + escapeHtml(s.id) + '</div>' +
+        s.events.map(historyEntryHtml).join('')
+      ).join('');
+    } catch (err) {
+      historyResults.innerHTML = '<div class="entry error"><div class="meta"></div><div class="body"><div class="line">' +
+        escapeHtml('History search failed: ' + err.message) + '</div></div></div>';
+    }
+  }
+  historyForm.addEventListener('submit', (e) => { e.preventDefault(); searchHistory(); });
+
+  /* --------------------------------------------------------
+   * Doctor
+   * ------------------------------------------------------ */
+  function renderDoctor(results) {
+    doctorListEl.innerHTML = results.map(r =>
+      '<div class="check ' + escapeHtml(r.status) + '">' +
+        '<span class="st">' + escapeHtml(r.status) + '</span>' + escapeHtml(r.label) +
+        '<div class="d">' + escapeHtml(r.detail) + '</div>' +
+        (r.fix ? '<div class="fix">→ ' + escapeHtml(r.fix) + '</div>' : '') +
+      '</div>'
+    ).join('');
+  }
+  doctorBtn.addEventListener('click', async () => {
+    doctorBtn.disabled = true;
+    doctorBtn.textContent = 'Checking…';
+    try {
+      const res = await fetch('/api/doctor');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      renderDoctor(data);
+    } catch (err) {
+      setToast('Doctor failed: ' + err.message, 'err');
+    } finally {
+      doctorBtn.disabled = false;
+      doctorBtn.textContent = 'Run checks';
+    }
+  });
+
+  /* --------------------------------------------------------
+   * Glossary
+   * ------------------------------------------------------ */
+  function renderGlossary(g) {
+    glossaryUserInput.value = JSON.stringify(g.user || {}, null, 2);
+    glossaryHint.dataset.builtin = Object.keys(g.builtin || {}).join(', ');
+    glossaryHint.title = 'Built-in: ' + glossaryHint.dataset.builtin;
+  }
+  async function loadGlossary() {
+    try { renderGlossary(await fetch('/api/glossary').then(r => r.json())); } catch {}
+  }
+  glossarySaveBtn.addEventListener('click', async () => {
+    let user;
+    try { user = JSON.parse(glossaryUserInput.value || '{}'); }
+    catch (err) { setToast('Glossary is not valid JSON: ' + err.message, 'err'); return; }
+    glossarySaveBtn.disabled = true;
+    try {
+      const res = await apiPost('/api/glossary', { user });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      renderGlossary(data);
+      setToast('Glossary saved.', 'ok');
+    } catch (err) {
+      setToast('Glossary save failed: ' + err.message, 'err');
+    } finally {
+      glossarySaveBtn.disabled = false;
+    }
+  });
+  loadGlossary();
+
+  /* --------------------------------------------------------
+   * Player rules
+   * ------------------------------------------------------ */
+  const RULE_LABELS = { mute: 'mute', noAuto: 'no auto', ignoreCommands: 'no cmds' };
+  let playerRules = {};
+
+  function ruleEntry(name) {
+    const key = Object.keys(playerRules).find(n => n.toLowerCase() === String(name).toLowerCase());
+    return key ? [key, { ...playerRules[key] }] : [name, {}];
+  }
+  async function savePlayerRule(name, rule) {
+    try {
+      const res = await apiPost('/api/player-rules', { name, rule });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      renderRules(data.playerRules);
+      return true;
+    } catch (err) {
+      setToast('Saving player rule failed: ' + err.message, 'err');
+      return false;
+    }
+  }
+  function renderRules(rules) {
+    playerRules = rules || {};
+    const names = Object.keys(playerRules).sort((a, b) => a.localeCompare(b));
+    if (!names.length) {
+      rulesListEl.innerHTML = '<div class="rules-empty">no player rules</div>';
+      return;
+    }
+    rulesListEl.innerHTML = names.map(name => {
+      const r = playerRules[name];
+      return '<div class="rule" data-player="' + escapeHtml(name) + '">' +
+        '<span class="name">' + escapeHtml(name) + '</span>' +
+        '<button class="rm" data-act="remove" title="Remove rule">×</button>' +
+        '<div class="flags">' +
+          Object.keys(RULE_LABELS).map(f =>
+            '<button class="chip' + (r[f] ? ' on' : '') + '" data-act="' + f + '">' + RULE_LABELS[f] + '</button>'
+          ).join('') +
+          '<input class="src" data-act="sourceLang" maxlength="6" placeholder="src" title="Forced source language" value="' + escapeHtml(r.sourceLang || '') + '" />' +
+        '</div>' +
+      '</div>';
+    }).join('');
+  }
+  function toggledRule(name, act) {
+    const [key, rule] = ruleEntry(name);
+    if (rule[act]) delete rule[act]; else rule[act] = true;
+    return [key, rule];
+  }
+  rulesListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button'); if (!btn) return;
+    const name = btn.closest('.rule').dataset.player;
+    if (btn.dataset.act === 'remove') { savePlayerRule(name, null); return; }
+    const [key, rule] = toggledRule(name, btn.dataset.act);
+    savePlayerRule(key, rule);
+  });
+  rulesListEl.addEventListener('change', (e) => {
+    const input = e.target.closest('input.src'); if (!input) return;
+    const [key, rule] = ruleEntry(input.closest('.rule').dataset.player);
+    const v = input.value.trim().toLowerCase();
+    if (v) rule.sourceLang = v; else delete rule.sourceLang;
+    savePlayerRule(key, rule);
+  });
+  rulesAddForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = rulesAddName.value.trim(); if (!name) return;
+    const [key, rule] = ruleEntry(name);
+    if (!Object.keys(rule).length) rule.noAuto = true;
+    if (await savePlayerRule(key, rule)) rulesAddName.value = '';
+  });
+  // Quick actions on feed / history entries
+  document.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.pr-btn'); if (!btn) return;
+    const name = btn.closest('.pr-actions').dataset.player;
+    const act = btn.dataset.act;
+    let key, rule;
+    if (act === 'sourceLang') {
+      [key, rule] = ruleEntry(name);
+      const v = prompt('Force source language for ' + name + ' (e.g. uk, empty to clear):', rule.sourceLang || '');
+      if (v === null) return;
+      if (v.trim()) rule.sourceLang = v.trim().toLowerCase(); else delete rule.sourceLang;
+    } else {
+      [key, rule] = toggledRule(name, act);
+    }
+    if (await savePlayerRule(key, Object.keys(rule).length ? rule : null)) {
+      renderSystem('Player rule for ' + key + ': ' + (Object.keys(rule).map(k => k === 'sourceLang' ? 'source ' + rule[k] : RULE_LABELS[k]).join(', ') || 'none'));
+    }
+  });
+
+  /* --------------------------------------------------------
+   * In-game commands
+   * ------------------------------------------------------ */
+  let commandList = [];
+
+  function renderCommands(list) {
+    commandList = list || [];
+    cmdListEl.innerHTML = commandList.map(c =>
+      '<div class="cmd' + (c.enabled ? '' : ' off') + '" data-id="' + escapeHtml(c.id) + '">' +
+        '<div class="head"><code>' + escapeHtml(c.usage) + '</code>' +
+          '<button class="chip' + (c.enabled ? ' on' : '') + '" data-act="toggle">' + (c.enabled ? 'on' : 'off') + '</button></div>' +
+        '<p>' + escapeHtml(c.help) + '</p>' +
+        '<div class="ex"><span>e.g.</span> ' + escapeHtml(c.example) + '</div>' +
+        '<div class="opts"><input class="trig" spellcheck="false" title="Triggers" value="' + escapeHtml(c.triggers.join(', ')) + '" />' +
+          '<select class="allow" title="Who may use it">' +
+            ['auto', 'everyone', 'friends', 'owner'].map(a => '<option value="' + a + '"' + (c.allow === a ? ' selected' : '') + '>' +
+              (a === 'auto' ? 'auto (' + c.effectiveAllow + ')' : a) + '</option>').join('') +
+          '</select></div>' +
+      '</div>'
+    ).join('');
+  }
+  async function loadCommands() {
+    try { renderCommands(await fetch('/api/commands').then(r => r.json())); } catch {}
+  }
+  async function saveCommands(commands) {
+    try {
+      await postConfig({ commands });
+      setToast('Commands saved.', 'ok');
+    } catch (err) {
+      setToast('Saving commands failed: ' + err.message, 'err');
+    }
+    loadCommands();
+  }
+  function commandSettings() {
+    return Object.fromEntries(commandList.map(c => [c.id, { enabled: c.enabled, triggers: c.triggers, allow: c.allow }]));
+  }
+  cmdListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-act="toggle"]'); if (!btn) return;
+    const commands = commandSettings();
+    const id = btn.closest('.cmd').dataset.id;
+    commands[id].enabled = !commands[id].enabled;
+    saveCommands(commands);
+  });
+  cmdListEl.addEventListener('change', (e) => {
+    const el = e.target.closest('input.trig, select.allow'); if (!el) return;
+    const commands = commandSettings();
+    const id = el.closest('.cmd').dataset.id;
+    if (el.matches('select')) commands[id].allow = el.value;
+    else commands[id].triggers = el.value.split(/[,\s]+/).filter(Boolean);
+    saveCommands(commands);
+  });
+  loadCommands();
+
+  function renderPermissions(cfg) {
+    ownersInput.value = (cfg.owners || []).join(', ');
+    friendsInput.value = (cfg.friends || []).join(', ');
+    cooldownInput.value = cfg.commandCooldownSec ?? 3;
+  }
+  const nameList = (v) => v.split(',').map(n => n.trim()).filter(Boolean);
+  permsSaveBtn.addEventListener('click', async () => {
+    permsSaveBtn.disabled = true;
+    try {
+      renderPermissions(await postConfig({
+        owners: nameList(ownersInput.value),
+        friends: nameList(friendsInput.value),
+        commandCooldownSec: Number(cooldownInput.value.trim() || 0)
+      }));
+      setToast('Permissions saved.', 'ok');
+      loadCommands();
+    } catch (err) {
+      setToast('Permission save failed: ' + err.message, 'err');
+    } finally {
+      permsSaveBtn.disabled = false;
+    }
+  });
+
+  /* --------------------------------------------------------
+   * Reply templates
+   * ------------------------------------------------------ */
+  const TEMPLATE_LABELS = {
+    tm: 'tm_', tl: '_tl', tlAll: '_tl all (per message)', re: '_re',
+    code: 'code_ match', codeMiss: 'code_ no match'
+  };
+  function renderTemplates(t) {
+    templateFieldsEl.innerHTML = Object.keys(TEMPLATE_LABELS).map(name =>
+      '<div class="field">' +
+        '<label for="tpl-' + name + '">' + escapeHtml(TEMPLATE_LABELS[name]) + '</label>' +
+        '<input type="text" id="tpl-' + name + '" data-name="' + name + '" spellcheck="false" value="' + escapeHtml(t[name] ?? '') + '" />' +
+      '</div>'
+    ).join('');
+  }
+  templatesSaveBtn.addEventListener('click', async () => {
+    const templates = {};
+    templateFieldsEl.querySelectorAll('input[data-name]').forEach(i => { templates[i.dataset.name] = i.value; });
+    templatesSaveBtn.disabled = true;
+    try {
+      renderTemplates((await postConfig({ templates })).templates);
+      setToast('Templates saved.', 'ok');
+    } catch (err) {
+      setToast('Template save failed: ' + err.message, 'err');
+    } finally {
+      templatesSaveBtn.disabled = false;
+    }
+  });
+
+  /* --------------------------------------------------------
+   * Outgoing chat queue
+   * ------------------------------------------------------ */
+  const sendRows = new Map();
+  function renderSend(q) {
+    let row = sendRows.get(q.id);
+    if (!row) {
+      if (!sendRows.size) sendListEl.innerHTML = '';
+      row = document.createElement('div');
+      sendListEl.prepend(row);
+      sendRows.set(q.id, row);
+      while (sendRows.size > 8) {
+        const [oldId, oldRow] = sendRows.entries().next().value;
+        oldRow.remove(); sendRows.delete(oldId);
+      }
+    }
+    row.className = 'send ' + q.status;
+    row.innerHTML =
+      '<span class="st">' + escapeHtml(q.status) + '</span>' +
+      '<span class="m">' + (q.team ? '<span class="k">team </span>' : '') + escapeHtml(q.message) +
+        (q.error ? ' <span class="e">(' + escapeHtml(q.error) + ')</span>' : '') + '</span>';
+  }
+  async function loadQueue() {
+    try {
+      const q = await fetch('/api/queue').then(r => r.json());
+      q.recent.forEach(renderSend);
+    } catch {}
+  }
+
+  /* --------------------------------------------------------
+   * Translation cache
+   * ------------------------------------------------------ */
+  function renderCacheStats(c) {
+    cacheEntriesEl.textContent = c.enabled ? c.entries + ' / ' + c.maxEntries : 'disabled';
+    cacheHitRateEl.textContent = (c.hitRate * 100).toFixed(1) + '%';
+    cacheHitsEl.textContent = c.hits + ' / ' + c.misses;
+  }
+  async function loadCacheStats() {
+    try { renderCacheStats(await fetch('/api/cache').then(r => r.json())); } catch {}
+  }
+  cacheClearBtn.addEventListener('click', async () => {
+    cacheClearBtn.disabled = true;
+    try {
+      const res = await apiPost('/api/cache/clear');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      renderCacheStats(await res.json());
+      setToast('Cache cleared.', 'ok');
+    } catch (err) {
+      setToast('Clear failed: ' + err.message, 'err');
+    } finally {
+      cacheClearBtn.disabled = false;
+    }
+  });
+  loadCacheStats();
+  setInterval(loadCacheStats, 10000);
+
+  function connectStream() {
+    const es = new EventSource('/events');
+    es.addEventListener('chat',    e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('auto',    e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('command', e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('status',  e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('error',   e => { try { handleEvent(JSON.parse(e.data)); } catch {} });
+    es.addEventListener('cfg',     e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('queue',   e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('rules',   e => handleEvent(JSON.parse(e.data)));
+    es.addEventListener('config',  e => handleEvent(JSON.parse(e.data)));
+    es.onerror = () => {
+      statusEl.classList.remove('on'); statusEl.classList.add('bad');
+      statusLabel.textContent = 'reconnecting…';
+    };
+  }
+
+  loadState().then(loadQueue).then(connectStream);
+</script>
+</body>
+</html>`;
+
+// -----------------------------------------------------------------------------
+// Stream overlay (/overlay, e.g. an OBS browser source)
+// -----------------------------------------------------------------------------
+
+// Transparent page that only shows recent chat from /events. All options are
+// query parameters, read in the page itself:
+//   font=Inter  size=22  max=8  fade=20 (seconds, 0 = keep)
+//   types=chat,auto,command (auto alone = translations only)
+//   ct=5aa7e6  t=e0a04a  all=e8e8e8 (team colours, hex without # or a name)
+const OVERLAY_HTML = String.raw`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>CS2 Chat Translator overlay</title>
+<style>
+  :root {
+    --size: 22px;
+    --font: "Inter", "IBM Plex Sans", system-ui, sans-serif;
+    --ct: #5aa7e6;
+    --t: #e0a04a;
+    --all: #e8e8e8;
+    --text: #ffffff;
+    --muted: rgba(255, 255, 255, 0.72);
+  }
+  html, body {
+    margin: 0; padding: 0; height: 100%; overflow: hidden;
+    background: transparent;
+  }
+  body {
+    display: flex; flex-direction: column; justify-content: flex-end;
+    padding: 12px 16px;
+    box-sizing: border-box;
+    font-family: var(--font); font-size: var(--size); line-height: 1.3;
+    color: var(--text);
+    text-shadow: 0 1px 2px rgba(0,0,0,0.9), 0 0 6px rgba(0,0,0,0.6);
+  }
+  .line {
+    margin-top: 0.3em;
+    transition: opacity 800ms ease;
+    animation: in 200ms ease-out;
+    word-break: break-word;
+  }
+  .line.gone { opacity: 0; }
+  @keyframes in {
+    from { opacity: 0; transform: translateY(0.3em); }
+    to   { opacity: 1; transform: none; }
+  }
+  .team { font-weight: 600; margin-right: 0.35em; }
+  .sender { font-weight: 600; }
+  .ct .team, .ct .sender { color: var(--ct); }
+  .t .team, .t .sender { color: var(--t); }
+  .all .team, .all .sender { color: var(--all); }
+  .tr { color: var(--text); }
+  .tr .lang { color: var(--muted); font-size: 0.75em; margin-right: 0.4em; }
+  .line .orig + .tr { display: block; padding-left: 1em; }
+  .cmd { color: var(--muted); }
+</style>
+</head>
+<body>
+<script>
+(() => {
+  const q = new URLSearchParams(location.search);
+  const root = document.documentElement.style;
+  const num = (name, def, min, max) => {
+    const n = Number(q.get(name));
+    return q.has(name) && Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : def;
+  };
+  const color = (v) => {
+    if (!v) return null;
+    if (/^[0-9a-f]{3,8}$/i.test(v)) return '#' + v;
+    return /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(v) ? v : null;
+  };
+
+  const MAX = num('max', 8, 1, 50);
+  const FADE = num('fade', 20, 0, 3600);
+  const TYPES = new Set((q.get('types') || 'chat,auto').split(',').map(s => s.trim()));
+  root.setProperty('--size', num('size', 22, 8, 96) + 'px');
+  if (/^[\w\s-]{1,60}$/.test(q.get('font') || '')) {
+    root.setProperty('--font', '"' + q.get('font') + '", system-ui, sans-serif');
+  }
+  for (const team of ['ct', 't', 'all']) {
+    const c = color(q.get(team));
+    if (c) root.setProperty('--' + team, c);
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, c => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+  const teamClass = (team) => team === 'CT' ? 'ct' : team === 'T' ? 't' : 'all';
+
+  // Lines waiting for their auto-translation, keyed by sender + message.
+  const pending = new Map();
+  const seen = new Set();
+
+  function add(html, cls, at) {
+    const el = document.createElement('div');
+    el.className = 'line ' + cls;
+    el.innerHTML = html;
+    document.body.appendChild(el);
+    while (document.body.querySelectorAll('.line').length > MAX) {
+      document.body.querySelector('.line').remove();
+    }
+    if (FADE) {
+      const left = Math.max(0, at + FADE * 1000 - Date.now());
+      setTimeout(() => {
+        el.classList.add('gone');
+        setTimeout(() => el.remove(), 900);
+      }, left);
+    }
+    return el;
+  }
+
+  function head(p) {
+    return '<span class="team">' + escapeHtml(p.team) + '</span>' +
+      '<span class="sender">' + escapeHtml(p.sender) + '</span>: ';
+  }
+
+  function onChat(evt) {
+    const p = evt.payload;
+    const key = p.sender + '\n' + p.message;
+    const el = add(head(p) + '<span class="orig">' + escapeHtml(p.message) + '</span>', teamClass(p.team), evt.at);
+    pending.set(key, el);
+    if (pending.size > 50) pending.delete(pending.keys().next().value);
+  }
+
+  function onAuto(evt) {
+    const p = evt.payload;
+    const tr = '<span class="tr"><span class="lang">' + escapeHtml(p.fromIso || '') + '→' +
+      escapeHtml(p.target || '') + '</span>' + escapeHtml(p.translated) + '</span>';
+    const key = p.sender + '\n' + p.original;
+    const el = pending.get(key);
+    pending.delete(key);
+    if (el && el.isConnected) {
+      el.insertAdjacentHTML('beforeend', tr);
+      return;
     }
-  });
+    add(head(p) + tr, teamClass(p.team), evt.at);
+  }
 
-  function connectStream() {
-    const es = new EventSource('/events');
-    es.addEventListener('chat',    e => handleEvent(JSON.parse(e.data)));
-    es.addEventListener('auto',    e => handleEvent(JSON.parse(e.data)));
-    es.addEventListener('command', e => handleEvent(JSON.parse(e.data)));
-    es.addEventListener('status',  e => handleEvent(JSON.parse(e.data)));
-    es.addEventListener('error',   e => { try { handleEvent(JSON.parse(e.data)); } catch {} });
-    es.addEventListener('cfg',     e => handleEvent(JSON.parse(e.data)));
-    es.onerror = () => {
-      statusEl.classList.remove('on'); statusEl.classList.add('bad');
-      statusLabel.textContent = 'reconnecting…';
-    };
+  function onCommand(evt) {
+    const p = evt.payload;
+    const text = p.translated || p.reply;
+    if (!text || p.kind === 'denied') return;
+    const who = p.sender ? escapeHtml(p.sender) + ' ' : '';
+    add('<span class="cmd">' + who + escapeHtml(p.kind) + ' → </span>' + escapeHtml(text), 'all', evt.at);
+  }
+
+  const handlers = { chat: onChat, auto: onAuto, command: onCommand };
+
+  function handle(e) {
+    // /events replays recent events on every (re)connect.
+    if (seen.has(e.data)) return;
+    seen.add(e.data);
+    if (seen.size > 200) seen.delete(seen.values().next().value);
+    const evt = JSON.parse(e.data);
+    if (FADE && Date.now() - evt.at > FADE * 1000) return;
+    handlers[evt.type](evt);
   }
 
-  loadState().then(connectStream);
+  const es = new EventSource('/events');
+  for (const type of Object.keys(handlers)) {
+    if (TYPES.has(type)) es.addEventListener(type, handle);
+  }
+})();
 </script>
 </body>
 </html>`;
@@ -1560,18 +5030,494 @@ async function readJsonBody(req) {
   });
 }
 
-function startWebServer(port) {
+// -----------------------------------------------------------------------------
+// WebSocket API (/ws)
+// -----------------------------------------------------------------------------
+
+// Minimal RFC 6455 server on top of the http "upgrade" event: text frames
+// only, no extensions. Every broadcast() event is pushed as
+//   { "type": "event", "event": "chat", "payload": {...}, "at": 1700000000000 }
+// and clients send requests as { "id": 1, "type": "translate", ... } which are
+// answered with { "type": "reply", "id": 1, "ok": true, "result": {...} }.
+// The schema is documented in the README ("WebSocket API").
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const WS_MAX_MESSAGE = 1024 * 1024;
+const WS_PING_MS = 30000;
+
+// Requests a client may send. "write" ones need a full-access connection
+// (session token on this machine, a "full" pairing token plus the session
+// token elsewhere), exactly like the POST routes.
+const WS_REQUESTS = {
+  status: { write: false, run: () => statusSnapshot() },
+  translate: { write: true, run: ({ text, target }) => composeTranslation({ text, target }) },
+  send: { write: true, run: ({ text, target, channel }) => sendFromGui({ text, target, channel }) },
+  setTarget: {
+    write: true,
+    run: ({ target }) => ({ autoTranslateTarget: applyConfigUpdate({ autoTranslateTarget: target }).autoTranslateTarget })
+  },
+  // Without "enabled" the current setting is toggled (Stream Deck buttons).
+  setAutoTranslate: {
+    write: true,
+    run: ({ enabled = !AUTO_TRANSLATE }) => ({ autoTranslate: applyConfigUpdate({ autoTranslate: enabled }).autoTranslate })
+  }
+};
+
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+function wsSend(client, obj) {
+  if (client.closed) return;
+  client.socket.write(wsFrame(0x1, Buffer.from(JSON.stringify(obj))));
+}
+
+function wsClose(client, code = 1000, reason = "") {
+  if (client.closed) return;
+  client.closed = true;
+  wsClients.delete(client);
+  clearInterval(client.ping);
+  const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+  body.writeUInt16BE(code, 0);
+  body.write(reason, 2);
+  client.socket.end(wsFrame(0x8, body));
+}
+
+// Consumes every complete frame in client.buffer; a partial frame stays
+// buffered until more data arrives.
+function wsReadFrames(client) {
+  let buf = client.buffer;
+  while (buf.length >= 2 && !client.closed) {
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+    if (len === 126) {
+      if (buf.length < 4) break;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) break;
+      len = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (!(buf[1] & 0x80)) return wsClose(client, 1002, "client frames must be masked");
+    if (len + client.fragmentBytes > WS_MAX_MESSAGE) return wsClose(client, 1009, "message too big");
+    if (buf.length < offset + 4 + len) break;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const data = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+    for (let i = 0; i < data.length; i++) data[i] ^= mask[i & 3];
+    buf = buf.subarray(offset + 4 + len);
+
+    if (opcode === 0x8) return wsClose(client);
+    if (opcode === 0x9) {
+      client.socket.write(wsFrame(0xa, data));
+    } else if (opcode === 0x1 || (opcode === 0x0 && client.fragments.length)) {
+      client.fragments.push(data);
+      client.fragmentBytes += data.length;
+      if (fin) {
+        const text = Buffer.concat(client.fragments).toString("utf8");
+        client.fragments = [];
+        client.fragmentBytes = 0;
+        handleWsMessage(client, text);
+      }
+    } else if (opcode !== 0xa) {
+      return wsClose(client, 1003, "only text messages are supported");
+    }
+  }
+  client.buffer = buf;
+}
+
+async function handleWsMessage(client, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    wsSend(client, { type: "reply", id: null, ok: false, error: "invalid JSON" });
+    return;
+  }
+  const id = msg?.id ?? null;
+  const request = Object.hasOwn(WS_REQUESTS, msg?.type) ? WS_REQUESTS[msg.type] : null;
+  if (!request) {
+    wsSend(client, { type: "reply", id, ok: false, error: `unknown type "${String(msg?.type).slice(0, 40)}"` });
+    return;
+  }
+  if (request.write && !client.canWrite) {
+    wsSend(client, { type: "reply", id, ok: false, error: "read-only connection: connect with the session token" });
+    return;
+  }
+  try {
+    wsSend(client, { type: "reply", id, ok: true, result: await request.run(msg) });
+  } catch (err) {
+    wsSend(client, { type: "reply", id, ok: false, error: err.message, fields: err.fields });
+  }
+}
+
+function handleWsUpgrade(req, socket, head, port) {
+  const reject = (status, text) => {
+    const head = `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n`;
+    socket.end(`${head}Content-Type: text/plain\r\n\r\n${text}\n`);
+  };
+  const refused = requestGuardError(req, port);
+  if (refused) return reject(403, `Forbidden: ${refused}`);
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname !== "/ws") return reject(404, "Not found");
+  const access = requestAccess(req, url);
+  if (!access) return reject(401, "Pairing required: open the pairing URL shown in the terminal");
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers["sec-websocket-version"] !== "13" || !key) return reject(426, "WebSocket version 13 required");
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  // Browsers cannot set headers on a WebSocket, so the token may also come as ?token=.
+  const client = {
+    socket,
+    buffer: head,
+    fragments: [],
+    fragmentBytes: 0,
+    closed: false,
+    canWrite: access === "full" && sameToken(req.headers[SESSION_TOKEN_HEADER] || url.searchParams.get("token")),
+    ping: setInterval(() => socket.write(wsFrame(0x9, Buffer.alloc(0))), WS_PING_MS)
+  };
+  wsClients.add(client);
+  const gone = () => {
+    client.closed = true;
+    wsClients.delete(client);
+    clearInterval(client.ping);
+  };
+  socket.on("close", gone);
+  socket.on("error", gone);
+  socket.on("data", (chunk) => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    wsReadFrames(client);
+  });
+
+  wsSend(client, { type: "hello", access: client.canWrite ? "full" : "read", status: statusSnapshot() });
+  if (client.buffer.length) wsReadFrames(client);
+}
+
+// -----------------------------------------------------------------------------
+// LAN access (pairing tokens)
+// -----------------------------------------------------------------------------
+
+// With "host" set to a LAN address (or --host), other devices such as a phone
+// can open the GUI. They need a pairing token from config "pairingTokens":
+// "read" follows the feed and history, "full" may also change settings and
+// send chat. Requests from this machine itself need no token.
+const PAIRING_ACCESS = ["read", "full"];
+const PAIRING_COOKIE = "cs2ct_pair";
+
+let PAIRING_TOKENS = [];
+// Address the GUI server is bound to (set in startWebServer).
+let LISTEN_HOST = "127.0.0.1";
+
+function isHostAddress(v) {
+  return typeof v === "string" && (v.trim() === "localhost" || net.isIP(v.trim()))
+    ? null
+    : "must be an IP address such as 127.0.0.1, 192.168.1.20 or 0.0.0.0";
+}
+
+function isPairingList(v) {
+  if (!Array.isArray(v)) return "must be a list of { name, token, access }";
+  for (const t of v) {
+    if (!t || typeof t !== "object" || typeof t.token !== "string" || t.token.trim().length < 16) {
+      return "every entry needs a token of at least 16 characters";
+    }
+    if (t.access !== undefined && !PAIRING_ACCESS.includes(t.access)) {
+      return `access must be one of ${PAIRING_ACCESS.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Drops duplicate tokens, names unnamed devices and defaults to read-only.
+function normalizePairingTokens(list) {
+  const seen = new Set();
+  const out = [];
+  for (const t of list) {
+    const token = t.token.trim();
+    if (seen.has(token)) continue;
+    seen.add(token);
+    const name = typeof t.name === "string" && t.name.trim() ? t.name.trim() : `device${out.length + 1}`;
+    out.push({ name, token, access: t.access || "read" });
+  }
+  return out;
+}
+
+function isLoopbackHost(host) {
+  return host === "localhost" || host === "::1" || host.startsWith("127.");
+}
+
+// Loopback, or a connection to our own LAN address from that same address.
+function isLocalRequest(req) {
+  const addr = req.socket.remoteAddress || "";
+  return addr === "::1" || addr.startsWith("127.") || addr.startsWith("::ffff:127.") ||
+    addr === req.socket.localAddress;
+}
+
+// Where this machine opens the GUI: loopback unless bound to one LAN address.
+function guiUrl(host, port) {
+  if (isLoopbackHost(host) || host === "0.0.0.0" || host === "::") return `http://127.0.0.1:${port}`;
+  return `http://${listenAddresses(host)[0]}:${port}`;
+}
+
+// Non-internal interface addresses, IPv4 first; used for pairing URLs and the
+// Host check when bound to 0.0.0.0 / ::.
+function lanAddresses() {
+  const out = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    // Link-local IPv6 needs a zone id, which browsers do not accept in URLs.
+    for (const a of list || []) if (!a.internal && !a.address.startsWith("fe80:")) out.push(a);
+  }
+  return out
+    .sort((a, b) => (a.family === b.family ? 0 : a.family === "IPv4" ? -1 : 1))
+    .map((a) => (a.family === "IPv6" ? `[${a.address}]` : a.address));
+}
+
+function listenAddresses(host) {
+  if (host === "0.0.0.0" || host === "::") return lanAddresses();
+  return [host.includes(":") ? `[${host}]` : host];
+}
+
+function requestCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i !== -1 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+// What a client may see of the config: everything on this machine, no
+// secrets (API key, pairing tokens, key command) on other devices.
+function configForClient(cfg, req) {
+  if (isLocalRequest(req)) return cfg;
+  const out = { ...cfg };
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (field.secret || field.fileOnly) delete out[key];
+  }
+  return out;
+}
+
+function findPairing(token) {
+  if (!token) return null;
+  const given = Buffer.from(String(token));
+  return PAIRING_TOKENS.find((t) => {
+    const known = Buffer.from(t.token);
+    return known.length === given.length && crypto.timingSafeEqual(known, given);
+  }) || null;
+}
+
+// "full" on this machine; otherwise the access of the token passed as ?pair=
+// (first visit), remembered in the cookie, or sent as "Authorization: Bearer"
+// (scrapers and scripts without cookies). null = not paired.
+function requestAccess(req, url) {
+  if (isLocalRequest(req)) return "full";
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+  const pairing =
+    findPairing(url.searchParams.get("pair")) ||
+    findPairing(requestCookie(req, PAIRING_COOKIE)) ||
+    findPairing(bearer);
+  return pairing ? pairing.access : null;
+}
+
+function pairingUrls(pairing, host, port) {
+  return listenAddresses(host).map((addr) => `http://${addr}:${port}/?pair=${pairing.token}`);
+}
+
+// Adds (or replaces) a device token in config.json.
+function addPairing(name, access) {
+  const cfg = loadConfig();
+  const pairing = { name, token: crypto.randomBytes(16).toString("hex"), access };
+  cfg.pairingTokens = [...cfg.pairingTokens.filter((p) => p.name !== name), pairing];
+  PAIRING_TOKENS = saveConfig(cfg).pairingTokens;
+  return pairing;
+}
+
+function printPairingInfo(host, port) {
+  log(sym.info, chalk.bold(`LAN access enabled on ${host}:${port}`));
+  if (!PAIRING_TOKENS.length) {
+    addPairing("lan", "read");
+    log(sym.info, "Created a read-only pairing token (add more with --pair NAME [--full]).");
+  }
+  for (const p of PAIRING_TOKENS) {
+    const urls = pairingUrls(p, host, port);
+    logKV(`${p.name} (${p.access})`, urls[0] || chalk.yellow("no LAN address found"));
+    for (const extra of urls.slice(1)) console.log(`               ${extra}`);
+  }
+}
+
+// --pair NAME [--full]: adds a device token and prints its URLs.
+function pairCli(name, access, port) {
+  const pairing = addPairing(name, access);
+  const cfg = loadConfig();
+  console.log(chalk.green(`Paired "${name}" with ${access} access.`));
+  const host = isLoopbackHost(cfg.host) ? "0.0.0.0" : cfg.host;
+  if (isLoopbackHost(cfg.host)) {
+    console.log(chalk.yellow("LAN access is off: start with --host 0.0.0.0 or set \"host\" in config.json."));
+  }
+  console.log("Open on the device:");
+  for (const u of pairingUrls(pairing, host, port)) console.log(`  ${u}`);
+}
+
+function unpairCli(name) {
+  const cfg = loadConfig();
+  const kept = cfg.pairingTokens.filter((p) => p.name !== name);
+  if (kept.length === cfg.pairingTokens.length) {
+    console.error(chalk.red(`❌ no pairing named "${name}"`));
+    return 1;
+  }
+  cfg.pairingTokens = kept;
+  saveConfig(cfg);
+  console.log(chalk.green(`Removed pairing "${name}".`));
+  return 0;
+}
+
+// -----------------------------------------------------------------------------
+// HTTP request guard (session token, Host / Origin checks)
+// -----------------------------------------------------------------------------
+
+// Per-run secret embedded in the served page. Scripts that want to use the
+// API read it from SESSION_TOKEN_PATH (only readable by the user).
+const SESSION_TOKEN = crypto.randomBytes(24).toString("hex");
+const SESSION_TOKEN_PATH = path.join(CONFIG_DIR, "session-token");
+const SESSION_TOKEN_HEADER = "x-cs2ct-token";
+
+function writeSessionToken() {
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(SESSION_TOKEN_PATH, `${SESSION_TOKEN}\n`, { mode: 0o600 });
+    fs.chmodSync(SESSION_TOKEN_PATH, 0o600);
+  } catch (err) {
+    log(sym.warn, chalk.yellow(`Could not write session token: ${err.message}`));
+  }
+}
+
+// Names the GUI may be reached under. Anything else in Host is a DNS
+// rebinding attempt (a foreign page resolving its own name to 127.0.0.1).
+// In LAN mode the machine's own addresses and host name are added.
+function allowedHosts(port) {
+  const names = ["127.0.0.1", "localhost", "[::1]"];
+  if (!isLoopbackHost(LISTEN_HOST)) {
+    const hostname = os.hostname().toLowerCase();
+    names.push(...listenAddresses(LISTEN_HOST), hostname, `${hostname}.local`);
+  }
+  return new Set(names.map((n) => `${n.toLowerCase()}:${port}`));
+}
+
+function sameToken(given) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(SESSION_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Returns why a request must be refused, or null. Every request needs a known
+// Host; anything but GET/HEAD also needs a matching Origin (when the browser
+// sends one), a JSON content type (HTML forms cannot send it without a CORS
+// preflight, which we never answer) and the session token.
+function requestGuardError(req, port) {
+  const hosts = allowedHosts(port);
+  if (!hosts.has(String(req.headers.host || "").toLowerCase())) return "unexpected Host header";
+  // WebSocket handshakes are GETs, but browsers let any page open one, so the
+  // Origin matters there too. The session token is checked per connection.
+  const upgrade = String(req.headers.upgrade || "").toLowerCase() === "websocket";
+  if ((req.method === "GET" || req.method === "HEAD") && !upgrade) return null;
+
+  const origin = req.headers.origin;
+  if (origin !== undefined) {
+    let host = null;
+    try { host = new URL(origin).host.toLowerCase(); } catch {}
+    if (!host || !hosts.has(host)) return "cross-origin request";
+  }
+  if (upgrade) return null;
+  const type = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "application/json") return "content type must be application/json";
+  if (!sameToken(req.headers[SESSION_TOKEN_HEADER])) return "missing or invalid session token";
+  return null;
+}
+
+function startWebServer(port, host = "127.0.0.1") {
+  LISTEN_HOST = host;
+  writeSessionToken();
   const server = http.createServer(async (req, res) => {
+    const refused = requestGuardError(req, port);
+    if (refused) {
+      sendJson(res, { error: `Forbidden: ${refused}` }, 403);
+      return;
+    }
     const url = new URL(req.url, `http://${req.headers.host}`);
     const p = url.pathname;
 
+    // LAN clients: pairing token first, read-only tokens may only look.
+    const access = requestAccess(req, url);
+    if (!access) {
+      if (p.startsWith("/api/")) {
+        sendJson(res, { error: "Pairing required: open the pairing URL shown in the terminal" }, 401);
+      } else {
+        res.writeHead(401, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Pairing required: open the pairing URL shown in the terminal of the PC running CS2 Chat Translator.");
+      }
+      return;
+    }
+    if (access === "read" && req.method !== "GET" && req.method !== "HEAD") {
+      sendJson(res, { error: "Forbidden: this device has read-only access" }, 403);
+      return;
+    }
+    // First visit with ?pair=: remember the token in a cookie and drop it
+    // from the address bar.
+    const pairing = req.method === "GET" ? findPairing(url.searchParams.get("pair")) : null;
+    if (pairing) {
+      url.searchParams.delete("pair");
+      res.writeHead(302, {
+        "Set-Cookie": `${PAIRING_COOKIE}=${pairing.token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000`,
+        "Location": url.pathname + url.search
+      });
+      res.end();
+      return;
+    }
+
     // UI
     if (req.method === "GET" && (p === "/" || p === "/index.html")) {
       res.writeHead(200, {
         "Content-Type": "text/html; charset=utf-8",
         "Cache-Control": "no-store"
       });
-      res.end(INDEX_HTML);
+      // Read-only devices get no session token, so their page cannot post.
+      res.end(
+        INDEX_HTML
+          .replace("__SESSION_TOKEN__", access === "full" ? SESSION_TOKEN : "")
+          .replace("__ACCESS__", access)
+      );
+      return;
+    }
+
+    // Stream overlay
+    if (req.method === "GET" && p === "/overlay") {
+      res.writeHead(200, {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "no-store"
+      });
+      res.end(OVERLAY_HTML);
       return;
     }
 
@@ -1605,52 +5551,147 @@ function startWebServer(port) {
 
     // Config: GET
     if (req.method === "GET" && p === "/api/config") {
-      sendJson(res, loadConfig());
+      sendJson(res, configForClient(loadConfig(), req));
       return;
     }
 
     // Config: POST
     if (req.method === "POST" && p === "/api/config") {
       try {
-        const body = await readJsonBody(req);
-        const next = {
-          logPath: typeof body.logPath === "string" ? body.logPath : undefined,
-          cfgDir: typeof body.cfgDir === "string" ? body.cfgDir : undefined,
-          bindKey: typeof body.bindKey === "string" ? body.bindKey : undefined,
-          autoTranslate:
-            typeof body.autoTranslate === "boolean" ? body.autoTranslate : undefined,
-          autoTranslateTarget:
-            typeof body.autoTranslateTarget === "string"
-              ? body.autoTranslateTarget
-              : undefined,
-          tagCT: typeof body.tagCT === "string" ? body.tagCT : undefined,
-          tagT: typeof body.tagT === "string" ? body.tagT : undefined,
-          tagAll: typeof body.tagAll === "string" ? body.tagAll : undefined
-        };
-        const cur = loadConfig();
-        const merged = saveConfig({ ...cur, ...Object.fromEntries(
-          Object.entries(next).filter(([, v]) => v !== undefined)
-        )});
-        setupFromConfig();
-        startWatching();
-        broadcast("status", statusSnapshot());
-        sendJson(res, merged);
+        sendJson(res, configForClient(applyConfigUpdate(await readJsonBody(req)), req));
       } catch (err) {
-        sendJson(res, { error: err.message }, 400);
+        sendJson(res, { error: err.message, fields: err.fields }, 400);
       }
       return;
     }
 
+    // Setup diagnostics (same checks as --doctor)
+    if (req.method === "GET" && p === "/api/doctor") {
+      sendJson(res, await runDoctor());
+      return;
+    }
+
+    // In-game commands with their effective triggers
+    if (req.method === "GET" && p === "/api/commands") {
+      sendJson(res, commandsSnapshot());
+      return;
+    }
+
+    // Metrics
+    if (req.method === "GET" && p === "/metrics") {
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        "Cache-Control": "no-store"
+      });
+      res.end(metricsText());
+      return;
+    }
+
+    if (req.method === "GET" && p === "/api/stats") {
+      sendJson(res, statsSnapshot());
+      return;
+    }
+
     // Status
     if (req.method === "GET" && p === "/api/status") {
       sendJson(res, statusSnapshot());
       return;
     }
 
+    // Compose: preview a translation without sending it
+    if (req.method === "POST" && p === "/api/translate") {
+      try {
+        const body = await readJsonBody(req);
+        sendJson(res, await composeTranslation(body));
+      } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+      }
+      return;
+    }
+
+    // Compose: translate and send to CS2 chat
+    if (req.method === "POST" && p === "/api/send") {
+      try {
+        const body = await readJsonBody(req);
+        sendJson(res, await sendFromGui(body));
+      } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+      }
+      return;
+    }
+
+    // Player rules: set ({ name, rule }) or remove ({ name, rule: null })
+    if (req.method === "POST" && p === "/api/player-rules") {
+      try {
+        const body = await readJsonBody(req);
+        const rule = body.rule === null ? null : normalizePlayerRules({ x: body.rule }).x || null;
+        sendJson(res, { playerRules: setPlayerRule(body.name, rule) });
+      } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+      }
+      return;
+    }
+
+    // Glossary
+    if (req.method === "GET" && p === "/api/glossary") {
+      sendJson(res, glossarySnapshot());
+      return;
+    }
+    if (req.method === "POST" && p === "/api/glossary") {
+      try {
+        const body = await readJsonBody(req);
+        saveGlossary(body.user ?? {});
+        sendJson(res, glossarySnapshot());
+      } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+      }
+      return;
+    }
+
+    // Languages detected per player (used by _re)
+    if (req.method === "GET" && p === "/api/players") {
+      sendJson(res, { players: playerLangsSnapshot() });
+      return;
+    }
+
+    // History search
+    if (req.method === "GET" && p === "/api/history") {
+      try {
+        const events = await searchHistory(Object.fromEntries(url.searchParams));
+        sendJson(res, { events, count: events.length, enabled: HISTORY_ENABLED });
+      } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+      }
+      return;
+    }
+    if (req.method === "GET" && p === "/api/history/sessions") {
+      sendJson(res, { sessions: historySessionsSummary(), current: historySession?.id || null });
+      return;
+    }
+
+    // Outgoing chat queue
+    if (req.method === "GET" && p === "/api/queue") {
+      sendJson(res, queueSnapshot());
+      return;
+    }
+
+    // Translation cache
+    if (req.method === "GET" && p === "/api/cache") {
+      sendJson(res, cacheSnapshot());
+      return;
+    }
+    if (req.method === "POST" && p === "/api/cache/clear") {
+      clearTranslationCache();
+      log(sym.info, chalk.cyan("Translation cache cleared"));
+      sendJson(res, cacheSnapshot());
+      return;
+    }
+
     // Restart watcher
     if (req.method === "POST" && p === "/api/restart") {
       setupFromConfig();
-      startWatching();
+      // A replay feeds the pipeline itself; tailing the live log would mix in real chat.
+      if (!replayState) startWatching();
       sendJson(res, statusSnapshot());
       return;
     }
@@ -1663,11 +5704,14 @@ function startWebServer(port) {
     console.error(chalk.red(`HTTP server error: ${err.message}`));
   });
 
-  server.listen(port, "127.0.0.1", () => {
-    const url = `http://127.0.0.1:${port}`;
+  server.on("upgrade", (req, socket, head) => handleWsUpgrade(req, socket, head, port));
+
+  server.listen(port, host, () => {
+    const url = guiUrl(host, port);
     console.log(sym.start, chalk.bold(`CS2 Chat Translator`));
     console.log(sym.info, `GUI ready at ${chalk.underline(url)}`);
     console.log(chalk.gray(`   config: ${CONFIG_PATH}`));
+    if (!isLoopbackHost(host)) printPairingInfo(host, port);
   });
 
   return server;
@@ -1695,29 +5739,68 @@ function printCliHelp() {
   console.log("  cs2-chat-translator                 # start watcher + web GUI");
   console.log("  cs2-chat-translator --no-browser    # do not auto-open browser");
   console.log("  cs2-chat-translator --port 1234     # change web GUI port (default 7420)");
+  console.log("  cs2-chat-translator --host 0.0.0.0  # open the GUI to the LAN (pairing token required)");
+  console.log("  cs2-chat-translator --pair NAME [--full]  # create a pairing token for a phone/tablet");
+  console.log("  cs2-chat-translator --unpair NAME   # revoke a pairing token");
   console.log("  cs2-chat-translator --cli           # headless mode (no web GUI)");
+  console.log("  cs2-chat-translator --replay FILE   # feed a recorded console.log instead of the live one");
+  console.log("      --speed N                       #   replay pacing multiplier (default 1, 0 = no delay)");
+  console.log("  cs2-chat-translator --no-send       # never write chat_reader.cfg or press the bind key");
+  console.log("  cs2-chat-translator --doctor        # check the setup and suggest fixes");
+  console.log("  cs2-chat-translator --detect-paths  # list Steam libraries and CS2 installs found");
   console.log("  cs2-chat-translator --init-config   # create/refresh config.json");
   console.log("  cs2-chat-translator --set-log-path /path/to/console.log");
   console.log("  cs2-chat-translator --set-cfg-dir  /path/to/cfg");
   console.log("  cs2-chat-translator --set-bind-key l");
   console.log("");
-  console.log("In-game commands:");
-  console.log("  tm_<lang> TEXT    translate TEXT to <lang> (e.g. tm_de hello)");
-  console.log("  _tl [lang]        translate last message to [lang] (default en)");
-  console.log("  code_<language>   show helper like 'For French use tm_fr'");
+  console.log("In-game commands (triggers from config.json \"commands\"):");
+  const cfg = loadConfig();
+  for (const c of commandsSnapshot(cfg.commands, cfg.owners.length > 0)) {
+    const aliases = c.triggers.length > 1 ? ` (also: ${c.triggers.slice(1).join(", ")})` : "";
+    const off = c.enabled ? "" : " [disabled]";
+    const who = c.effectiveAllow === "everyone" ? "" : ` [${c.effectiveAllow === "owner" ? "owner only" : "friends"}]`;
+    console.log(`  ${c.usage.padEnd(26)} ${c.help}${aliases}${who}${off}`);
+  }
+}
+
+// Without owners nothing stops another player from making this client send
+// chat through the commands left on "auto" or "everyone".
+function warnOpenCommands() {
+  const open = commandsSnapshot().filter((c) => c.enabled && c.effectiveAllow === "everyone");
+  if (!open.length) return;
+  log(sym.warn, chalk.yellow(`Anyone in the match can use ${open.map((c) => commandHint(c.id)).join(", ")} and make your client send chat.`));
+  logKV("fix", OWNERS.size
+    ? `set "allow" to "friends" or "owner" for these commands`
+    : `set "owners" to your player name (config.json or the GUI) to limit them to you and your friends`);
 }
 
-async function startAll({ withGui, port, openUi }) {
+async function startAll({ withGui, port, host, openUi, replayFile, replaySpeed }) {
+  // Exit through process.exit on Ctrl+C / SIGTERM so "exit" handlers (e.g. the
+  // translation cache flush) still run.
+  for (const sig of ["SIGINT", "SIGTERM"]) process.once(sig, () => process.exit(0));
   setupFromConfig();
-  startWatching();
+  warnOpenCommands();
+  watchConfigFile();
+  startHistorySession(replayFile ? { source: "replay", file: replayFile } : {});
+  if (!replayFile) startWatching();
 
   if (withGui) {
-    startWebServer(port);
-    if (openUi) setTimeout(() => openBrowser(`http://127.0.0.1:${port}`), 250);
+    // --host wins over config "host" for this run.
+    const listenHost = host || loadConfig().host;
+    startWebServer(port, listenHost);
+    if (openUi) setTimeout(() => openBrowser(guiUrl(listenHost, port)), 250);
   } else {
     // Headless banner for --cli
     console.log(sym.start, chalk.bold(`CS2 Chat Translator (headless)\n`));
-    console.log(chalk.gray("Commands: tm_<lang> TEXT | _tl [lang] | code_<lang>"));
+    const enabled = commandsSnapshot().filter((c) => c.enabled).map((c) => c.usage);
+    console.log(chalk.gray(`Commands: ${enabled.join(" | ") || "none enabled"}`));
+  }
+
+  if (replayFile) {
+    // Give a freshly opened browser a moment to connect before the feed starts.
+    if (openUi) await sleep(1500);
+    await replayLog(replayFile, { speed: replaySpeed });
+    if (!withGui) process.exit(0);
   }
 }
 
@@ -1728,6 +5811,25 @@ if (args.includes("--help") || args.includes("-h")) {
   process.exit(0);
 }
 
+if (args.includes("--detect-paths")) {
+  detectPathsCli();
+  process.exit(0);
+}
+
+if (args.includes("--doctor")) {
+  process.exit(await doctorCli());
+}
+
+if (args[0] === "--pair" && args[1]) {
+  const pairPortIdx = args.indexOf("--port");
+  pairCli(args[1], args.includes("--full") ? "full" : "read", pairPortIdx !== -1 ? Number(args[pairPortIdx + 1]) : 7420);
+  process.exit(0);
+}
+
+if (args[0] === "--unpair" && args[1]) {
+  process.exit(unpairCli(args[1]));
+}
+
 if (args[0] === "--init-config") {
   initConfigCli();
   process.exit(0);
@@ -1753,10 +5855,35 @@ const portArgIdx = args.indexOf("--port");
 const port = portArgIdx !== -1 && args[portArgIdx + 1]
   ? Number(args[portArgIdx + 1])
   : 7420;
+const hostArgIdx = args.indexOf("--host");
+const hostArg = args[hostArgIdx + 1];
+const host = hostArgIdx === -1 ? null : hostArg && !hostArg.startsWith("--") ? hostArg : "0.0.0.0";
+if (host && isHostAddress(host)) {
+  console.error(chalk.red(`❌ invalid --host: ${host}`));
+  process.exit(1);
+}
 const withGui = !args.includes("--cli");
 const openUi = withGui && !args.includes("--no-browser");
+if (args.includes("--no-send")) SEND_CHAT = false;
+
+const replayArgIdx = args.indexOf("--replay");
+const replayFile = replayArgIdx !== -1 && args[replayArgIdx + 1]
+  ? path.resolve(args[replayArgIdx + 1])
+  : null;
+if (replayFile && !fs.existsSync(replayFile)) {
+  console.error(chalk.red(`❌ replay file not found: ${replayFile}`));
+  process.exit(1);
+}
+const speedArgIdx = args.indexOf("--speed");
+const replaySpeed = speedArgIdx !== -1 && args[speedArgIdx + 1]
+  ? Number(args[speedArgIdx + 1])
+  : 1;
+if (!Number.isFinite(replaySpeed) || replaySpeed < 0) {
+  console.error(chalk.red(`❌ invalid --speed: ${args[speedArgIdx + 1]}`));
+  process.exit(1);
+}
 
-startAll({ withGui, port, openUi }).catch((err) => {
+startAll({ withGui, port, host, openUi, replayFile, replaySpeed }).catch((err) => {
   console.error(chalk.red("Fatal error:"), err);
   process.exit(1);
 });